@@ -0,0 +1,70 @@
+// backend/jobs/appointmentReminders.js
+//
+// Remind both sides of a confirmed viewing / test ride a day and an hour
+// before it starts. Each reminder is recorded on the appointment so it is
+// sent once; an appointment booked at short notice only gets the nearest one.
+// Runs from jobs/index.js; can also be run on its own from cron:
+//   node jobs/appointmentReminders.js
+
+const Appointment = require('../models/Appointment');
+const { TYPE_LABELS, describeAppointment, notifyParty } = require('../utils/appointments');
+
+// Shortest lead time first
+const REMINDERS = [
+  { name: 'hour', lead: 60 * 60 * 1000, label: 'starting soon' },
+  { name: 'day', lead: 24 * 60 * 60 * 1000, label: 'coming up' }
+];
+
+const sendAppointmentReminders = async (now = new Date()) => {
+  const longestLead = REMINDERS[REMINDERS.length - 1].lead;
+  const appointments = await Appointment.find({
+    status: 'confirmed',
+    startsAt: { $gt: now, $lte: new Date(now.getTime() + longestLead) }
+  });
+
+  let sent = 0;
+  for (const appointment of appointments) {
+    const dueIndex = REMINDERS.findIndex(reminder => appointment.startsAt - now <= reminder.lead);
+    const due = REMINDERS[dueIndex];
+    if (appointment.remindersSent.includes(due.name)) continue;
+
+    // Claim this reminder and the longer ones it makes redundant, so a
+    // parallel run doesn't send it again
+    const names = REMINDERS.slice(dueIndex).map(reminder => reminder.name);
+    const claimed = await Appointment.updateOne(
+      { _id: appointment._id, status: 'confirmed', remindersSent: { $ne: due.name } },
+      { $addToSet: { remindersSent: { $each: names } } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const content = {
+      type: 'appointment-reminder',
+      title: `${TYPE_LABELS[appointment.type]} ${due.label}`,
+      message: `${describeAppointment(appointment)}.`
+    };
+    await Promise.all(['buyer', 'seller'].map(role => notifyParty(appointment, role, content)));
+    sent++;
+  }
+
+  return { appointments: appointments.length, sent };
+};
+
+module.exports = sendAppointmentReminders;
+
+if (require.main === module) {
+  const mongoose = require('mongoose');
+  require('dotenv').config();
+
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI);
+      const { sent } = await sendAppointmentReminders();
+      console.log(`✅ Sent ${sent} appointment reminders`);
+    } catch (error) {
+      console.error('❌ Error sending appointment reminders:', error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.disconnect();
+    }
+  })();
+}
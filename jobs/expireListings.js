@@ -0,0 +1,44 @@
+// backend/jobs/expireListings.js
+//
+// Expire active listings that reached their expiresAt without being renewed
+// and tell their sellers, who can renew them with POST /:category/:id/renew.
+// Runs hourly from jobs/index.js; can also be run on its own from cron:
+//   node jobs/expireListings.js
+
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const { notifySeller } = require('../utils/listingStatus');
+
+const expireListings = async (now = new Date()) => {
+  let expired = 0;
+
+  for (const [category, Model] of Object.entries(VEHICLE_CATEGORIES)) {
+    const listings = await Model.expireOverdue(now);
+
+    for (const listing of listings) {
+      await notifySeller(category, listing, 'expired');
+    }
+    expired += listings.length;
+  }
+
+  return { expired };
+};
+
+module.exports = expireListings;
+
+if (require.main === module) {
+  const mongoose = require('mongoose');
+  require('dotenv').config();
+
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI);
+      const { expired } = await expireListings();
+      console.log(`✅ Expired ${expired} listings`);
+    } catch (error) {
+      console.error('❌ Error expiring listings:', error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.disconnect();
+    }
+  })();
+}
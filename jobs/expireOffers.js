@@ -0,0 +1,33 @@
+// backend/jobs/expireOffers.js
+//
+// Mark open offers that nobody answered in time as expired. Responding to an
+// overdue offer is refused anyway; this keeps offer lists accurate.
+// Runs from jobs/index.js; can also be run on its own from cron:
+//   node jobs/expireOffers.js
+
+const Offer = require('../models/Offer');
+
+const expireOffers = async (now = new Date()) => {
+  const expired = await Offer.expireOverdue(now);
+  return { expired };
+};
+
+module.exports = expireOffers;
+
+if (require.main === module) {
+  const mongoose = require('mongoose');
+  require('dotenv').config();
+
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI);
+      const { expired } = await expireOffers();
+      console.log(`✅ Expired ${expired} offers`);
+    } catch (error) {
+      console.error('❌ Error expiring offers:', error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.disconnect();
+    }
+  })();
+}
@@ -0,0 +1,33 @@
+// backend/jobs/index.js
+
+const sendSavedSearchDigests = require('./savedSearchDigest');
+const refreshMarketPrices = require('./refreshMarketPrices');
+const expireOffers = require('./expireOffers');
+const sendAppointmentReminders = require('./appointmentReminders');
+const expireListings = require('./expireListings');
+
+// Background jobs run by the API server. Set DISABLE_JOBS=true on all but one
+// instance when running several, or run the job scripts from cron instead.
+const JOBS = [
+  { name: 'saved-search-digest', run: sendSavedSearchDigests, interval: 60 * 60 * 1000 },
+  { name: 'refresh-market-prices', run: refreshMarketPrices, interval: 60 * 60 * 1000 },
+  { name: 'expire-offers', run: expireOffers, interval: 5 * 60 * 1000 },
+  { name: 'appointment-reminders', run: sendAppointmentReminders, interval: 5 * 60 * 1000 },
+  { name: 'expire-listings', run: expireListings, interval: 60 * 60 * 1000 }
+];
+
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') return;
+
+  JOBS.forEach(job => {
+    const timer = setInterval(() => {
+      job.run().catch(error => console.error(`❌ Job ${job.name} failed:`, error));
+    }, job.interval);
+    // Don't keep the process alive just for jobs
+    timer.unref();
+  });
+};
+
+module.exports = {
+  startJobs
+};
@@ -0,0 +1,56 @@
+// backend/jobs/refreshMarketPrices.js
+//
+// Re-estimate the market price of available listings whose estimate is more
+// than a day old, so the below/at/above market flag follows the market.
+// Runs hourly from jobs/index.js; can also be run on its own from cron:
+//   node jobs/refreshMarketPrices.js
+
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const { updateMarketPrice } = require('../utils/marketPriceUpdates');
+
+const REFRESH_INTERVAL = 24 * 60 * 60 * 1000;
+// Listings re-estimated per category per run
+const BATCH_SIZE = 200;
+
+const refreshMarketPrices = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - REFRESH_INTERVAL);
+  let refreshed = 0;
+
+  for (const [category, Model] of Object.entries(VEHICLE_CATEGORIES)) {
+    const listings = await Model.find({
+      isActive: true,
+      availability: 'available',
+      $or: [{ marketPrice: null }, { 'marketPrice.updatedAt': { $lte: cutoff } }]
+    })
+      .sort({ 'marketPrice.updatedAt': 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    for (const listing of listings) {
+      await updateMarketPrice(category, listing);
+      refreshed++;
+    }
+  }
+
+  return { refreshed };
+};
+
+module.exports = refreshMarketPrices;
+
+if (require.main === module) {
+  const mongoose = require('mongoose');
+  require('dotenv').config();
+
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI);
+      const { refreshed } = await refreshMarketPrices();
+      console.log(`✅ Refreshed the market price of ${refreshed} listings`);
+    } catch (error) {
+      console.error('❌ Error refreshing market prices:', error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.disconnect();
+    }
+  })();
+}
@@ -0,0 +1,127 @@
+// backend/jobs/savedSearchDigest.js
+//
+// Send the daily digest for saved searches with frequency 'daily': one
+// notification per user covering every search that collected matches, with
+// the first few matches of each listed and the rest counted.
+// Runs hourly from jobs/index.js; can also be run on its own from cron:
+//   node jobs/savedSearchDigest.js
+
+const SavedSearch = require('../models/SavedSearch');
+const User = require('../models/User');
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const { notify } = require('../utils/notifications');
+
+const DIGEST_INTERVAL = 24 * 60 * 60 * 1000;
+// Matches listed per search; the rest are only counted
+const MATCHES_PER_SEARCH = 5;
+// Notification messages are limited to 2000 characters; keep room for the
+// "more searches" line
+const MAX_DIGEST_LENGTH = 1900;
+
+const dueFilter = (cutoff) => ({
+  frequency: 'daily',
+  isPaused: false,
+  'pendingMatches.0': { $exists: true },
+  $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: cutoff } }]
+});
+
+const describeMatch = (match) => {
+  const price = `₹${match.price.toLocaleString()}`;
+  const plural = VEHICLE_CATEGORIES[match.category]?.collection.name || match.category;
+  const note = match.reason === 'price-drop' ? 'price dropped to' : 'listed at';
+  return `- ${match.title}: ${note} ${price} (/${plural}/${match.listing})`;
+};
+
+const describeSearch = (search) => {
+  const lines = search.pendingMatches.slice(0, MATCHES_PER_SEARCH).map(describeMatch);
+  const more = search.pendingMatches.length - lines.length;
+  if (more > 0) {
+    lines.push(`- and ${more} more`);
+  }
+  return `${search.name}:\n${lines.join('\n')}`;
+};
+
+// One section per search, as many as fit in a notification
+const buildDigest = (searches) => {
+  const sections = [];
+  let length = 0;
+  for (const search of searches) {
+    const section = describeSearch(search).slice(0, MAX_DIGEST_LENGTH);
+    if (sections.length > 0 && length + section.length + 2 > MAX_DIGEST_LENGTH) break;
+    sections.push(section);
+    length += section.length + 2;
+  }
+
+  const skipped = searches.length - sections.length;
+  if (skipped > 0) {
+    sections.push(`...and matches for ${skipped} more saved ${skipped === 1 ? 'search' : 'searches'}`);
+  }
+  return sections.join('\n\n');
+};
+
+const sendSavedSearchDigests = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - DIGEST_INTERVAL);
+  const due = await SavedSearch.find(dueFilter(cutoff)).select('_id user');
+
+  // Claim each search's matches atomically so parallel runs don't send twice
+  const claimedByUser = new Map();
+  for (const { _id } of due) {
+    const claimed = await SavedSearch.findOneAndUpdate(
+      { _id, ...dueFilter(cutoff) },
+      { $set: { pendingMatches: [], lastDigestAt: now, lastNotifiedAt: now } }
+    );
+    if (!claimed) continue;
+
+    const userId = claimed.user.toString();
+    if (!claimedByUser.has(userId)) claimedByUser.set(userId, []);
+    claimedByUser.get(userId).push(claimed);
+  }
+
+  let sent = 0;
+  for (const [userId, searches] of claimedByUser) {
+    const matchCount = searches.reduce((count, search) => count + search.pendingMatches.length, 0);
+
+    // One user's failed digest must not cost the others theirs; its matches
+    // go back in the queue for the next run
+    try {
+      const user = await User.findById(userId).select('name email notificationPreferences');
+      if (!user) continue;
+
+      await notify(user, {
+        type: 'saved-search-digest',
+        title: `${matchCount} new ${matchCount === 1 ? 'match' : 'matches'} for your saved searches`,
+        message: buildDigest(searches),
+        link: '/saved-searches',
+        data: { savedSearches: searches.map(search => search._id) }
+      });
+      sent += 1;
+    } catch (error) {
+      console.error(`Error sending saved search digest to user ${userId}:`, error);
+      await Promise.all(searches.map(search => SavedSearch.restoreMatches(search).catch(restoreError => {
+        console.error(`Error restoring matches of saved search ${search._id}:`, restoreError);
+      })));
+    }
+  }
+
+  return { sent };
+};
+
+module.exports = sendSavedSearchDigests;
+
+if (require.main === module) {
+  const mongoose = require('mongoose');
+  require('dotenv').config();
+
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI);
+      const { sent } = await sendSavedSearchDigests();
+      console.log(`✅ Sent ${sent} saved search digests`);
+    } catch (error) {
+      console.error('❌ Error sending saved search digests:', error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.disconnect();
+    }
+  })();
+}
@@ -1,38 +1,74 @@
 // backend/middleware/auth.js
 
 const User = require('../models/User');
+const { verifyAccessToken, getBearerToken } = require('../utils/tokens');
 
-// Simple middleware for optional user identification (no authentication required)
+// Resolve the user (and session) referenced by a verified access token
+const getUserFromToken = async (token) => {
+  const decoded = verifyAccessToken(token);
+  const user = await User.findById(decoded.id).select('-password');
+  return { user, sessionId: decoded.sid, expiresAt: new Date(decoded.exp * 1000) };
+};
+
+// Optional user identification: sets req.user when a valid token is sent,
+// otherwise continues as an anonymous request
 const optionalAuth = async (req, res, next) => {
-  // For now, we'll just continue without user authentication
-  // This can be extended later if needed
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  try {
+    const { user, sessionId } = await getUserFromToken(token);
+    if (user) {
+      req.user = user;
+      req.sessionId = sessionId;
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous
+  }
   next();
 };
 
-// Middleware that does nothing (for compatibility with existing routes)
+// Require a valid access token and load the caller into req.user
 const authenticateToken = async (req, res, next) => {
-  // Skip authentication - just continue
-  next();
-};
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ message: 'Access denied. No token provided.' });
+  }
 
-// Mock user for testing purposes (you can modify this as needed)
-const getMockUser = () => {
-  return {
-    _id: '64f1b2c3d4e5f6789abcdef0',
-    name: 'Guest User',
-    email: 'guest@vahaanbazaar.com',
-    phone: '+91 9876543210'
-  };
+  try {
+    const { user, sessionId, expiresAt } = await getUserFromToken(token);
+    if (!user) {
+      return res.status(401).json({ message: 'User for this token no longer exists' });
+    }
+
+    req.user = user;
+    req.sessionId = sessionId;
+    req.tokenExpiresAt = expiresAt;
+    next();
+  } catch (error) {
+    // JsonWebTokenError / TokenExpiredError are mapped by the global error handler
+    next(error);
+  }
 };
 
-// Middleware to set a mock user (for routes that need user info)
-const setMockUser = (req, res, next) => {
-  req.user = getMockUser();
-  next();
+// Restrict a route to users with one of the given roles (use after authenticateToken)
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Access denied. No token provided.' });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Not authorized to access this resource' });
+    }
+
+    next();
+  };
 };
 
-// Middleware to check if user owns a resource (simplified without authentication)
-const checkOwnership = (resourceModel, resourceIdField = 'id') => {
+// Middleware to check that the caller owns a resource (use after authenticateToken).
+// Admins may act on any resource. The loaded document is exposed as req.resource.
+const checkOwnership = (resourceModel, resourceIdField = 'id', ownerField = 'user') => {
   return async (req, res, next) => {
     try {
       const resourceId = req.params[resourceIdField];
@@ -41,11 +77,21 @@ const checkOwnership = (resourceModel, resourceIdField = 'id') => {
       if (!resource) {
         return res.status(404).json({ message: 'Resource not found' });
       }
+
+      const owner = resource.get(ownerField);
+      const ownerId = owner && owner._id ? owner._id : owner;
+      const isOwner = ownerId && req.user && ownerId.toString() === req.user._id.toString();
+
+      if (!isOwner && req.user?.role !== 'admin') {
+        return res.status(403).json({ message: 'Not authorized to access this resource' });
+      }
       
-      // Without authentication, we'll allow access to all resources
       req.resource = resource;
       next();
     } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({ message: 'Invalid resource ID format' });
+      }
       console.error('Resource check error:', error);
       res.status(500).json({ message: 'Resource error' });
     }
@@ -55,7 +101,6 @@ const checkOwnership = (resourceModel, resourceIdField = 'id') => {
 module.exports = {
   authenticateToken,
   optionalAuth,
-  checkOwnership,
-  setMockUser,
-  getMockUser
-};
\ No newline at end of file
+  requireRole,
+  checkOwnership
+};
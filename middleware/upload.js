@@ -0,0 +1,45 @@
+// backend/middleware/upload.js
+
+const multer = require('multer');
+const { IMAGE_LIMITS } = require('../utils/images');
+
+// Files are kept in memory; they are resized before anything is stored
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMAGE_LIMITS.maxFileSize,
+    files: IMAGE_LIMITS.maxFiles
+  },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_LIMITS.mimeTypes.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'Images must be JPEG, PNG, WebP or GIF';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each image must be ${IMAGE_LIMITS.maxFileSize / (1024 * 1024)}MB or smaller`,
+  LIMIT_FILE_COUNT: `You can upload at most ${IMAGE_LIMITS.maxFiles} images at a time`
+};
+
+// Accept up to IMAGE_LIMITS.maxFiles images from a multipart field, replying
+// 400 when a file is too large, not an image or sent under another field
+const receiveImages = (fieldName = 'images') => (req, res, next) => {
+  imageUpload.array(fieldName, IMAGE_LIMITS.maxFiles)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        message: UPLOAD_ERROR_MESSAGES[error.code] || error.message
+      });
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  receiveImages
+};
@@ -0,0 +1,49 @@
+// Backfill the category discriminator on existing vehicle listings
+//
+// Bike and Scooter now share one schema definition (models/vehicleSchema.js)
+// and every listing stores its category ('bike', 'scooter', ...). Documents
+// created before that change have no category; this script sets it for each
+// registered vehicle collection. Collections and all other fields are unchanged.
+//
+// Usage: node migrations/backfill-vehicle-category.js [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function backfillVehicleCategory() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (DRY_RUN) {
+      console.log('🧪 Dry run: no documents will be changed');
+    }
+
+    const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+
+    for (const [category, Model] of Object.entries(VEHICLE_CATEGORIES)) {
+      const filter = { category: { $exists: false } };
+
+      if (DRY_RUN) {
+        const count = await Model.collection.countDocuments(filter);
+        console.log(`📊 ${Model.collection.name}: ${count} listings need category '${category}'`);
+        continue;
+      }
+
+      const result = await Model.collection.updateMany(filter, { $set: { category } });
+      console.log(`✅ ${Model.collection.name}: set category '${category}' on ${result.modifiedCount} listings`);
+    }
+
+    console.log('\n🎉 Category backfill complete!');
+  } catch (error) {
+    console.error('❌ Error backfilling vehicle categories:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+backfillVehicleCategory();
@@ -0,0 +1,106 @@
+// Move base64 listing photos out of MongoDB into file storage
+//
+// Listing images used to be strings holding either a URL or a whole
+// data:image/...;base64 payload. Images are now records ({ url, mediumUrl,
+// thumbnailUrl, storageKey }) whose files live in the configured storage
+// driver (STORAGE_DRIVER). This script decodes every base64 image, stores its
+// renditions, and rewrites each listing's images array. Plain URL strings are
+// kept as { url }. Images that cannot be decoded are dropped and reported.
+//
+// Stored files are keyed by the listing's seller, so run this after
+// link-listing-sellers.js. Listings whose seller is not yet a user id are
+// skipped and reported; run the script again once they are linked.
+//
+// Usage: node migrations/extract-base64-images.js [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const BASE64_IMAGE = /^data:image\/[a-z+]+;base64,/i;
+
+async function migrateCollection(collection, storeListingImage) {
+  const pending = { images: { $type: 'string' } };
+  const cursor = collection.find({ ...pending, seller: { $type: 'objectId' } });
+
+  let listings = 0;
+  let extracted = 0;
+  const failed = [];
+
+  for await (const listing of cursor) {
+    const images = [];
+
+    for (const image of listing.images) {
+      if (typeof image !== 'string') {
+        images.push(image);
+        continue;
+      }
+
+      if (!BASE64_IMAGE.test(image)) {
+        images.push({ _id: new mongoose.Types.ObjectId(), url: image });
+        continue;
+      }
+
+      if (DRY_RUN) {
+        extracted += 1;
+        continue;
+      }
+
+      try {
+        const buffer = Buffer.from(image.replace(BASE64_IMAGE, ''), 'base64');
+        const stored = await storeListingImage(buffer, { ownerId: listing.seller });
+        images.push({ _id: new mongoose.Types.ObjectId(), ...stored });
+        extracted += 1;
+      } catch (error) {
+        failed.push(`${listing._id} (${error.message})`);
+      }
+    }
+
+    listings += 1;
+    if (!DRY_RUN) {
+      await collection.updateOne({ _id: listing._id }, { $set: { images } });
+    }
+  }
+
+  console.log(`✅ ${collection.collectionName}: ${listings} listings updated, ${extracted} base64 images extracted`);
+  if (failed.length > 0) {
+    console.log(`⚠️ Dropped unreadable images in ${collection.collectionName}: ${failed.join(', ')}`);
+  }
+
+  const unlinked = await collection.find({ ...pending, seller: { $not: { $type: 'objectId' } } })
+    .project({ _id: 1 })
+    .toArray();
+  if (unlinked.length > 0) {
+    console.log(`⚠️ Skipped ${collection.collectionName} without a linked seller: ${unlinked.map(listing => listing._id).join(', ')}`);
+    console.log('   Run migrations/link-listing-sellers.js, then this script again');
+  }
+}
+
+async function extractBase64Images() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (DRY_RUN) {
+      console.log('🧪 Dry run: no documents or files will be changed');
+    }
+
+    const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+    const { storeListingImage } = require('../utils/images');
+
+    for (const Model of Object.values(VEHICLE_CATEGORIES)) {
+      await migrateCollection(Model.collection, storeListingImage);
+    }
+
+    console.log('\n🎉 Image migration complete!');
+  } catch (error) {
+    console.error('❌ Error migrating listing images:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+extractBase64Images();
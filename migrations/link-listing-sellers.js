@@ -0,0 +1,108 @@
+// Link existing bike and scooter listings to User accounts
+//
+// Listings used to embed a free-text seller ({ name, email, phone }). The seller
+// is now a reference to the owning User. This script matches each embedded
+// seller to a user by email, moves the old details into contactInfo and stores
+// the user's id. A seller is required, so listings without a matching user
+// (including the old "Anonymous" placeholder ones) keep their contact details
+// and are linked to the account given with --fallback-seller, e.g. an admin
+// account. Without it they are left as they are and reported; run the script
+// again with --fallback-seller to link them. Listings an earlier run of this
+// script left without a seller are picked up as well.
+//
+// Usage: node migrations/link-listing-sellers.js [--dry-run] [--fallback-seller <userId>]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DRY_RUN = process.argv.includes('--dry-run');
+const fallbackIndex = process.argv.indexOf('--fallback-seller');
+const FALLBACK_SELLER = fallbackIndex === -1 ? null : process.argv[fallbackIndex + 1];
+
+async function migrateCollection(collectionName, User, fallbackSeller) {
+  const collection = mongoose.connection.collection(collectionName);
+  const cursor = collection.find({
+    $or: [{ seller: { $type: 'object' } }, { seller: null }]
+  });
+
+  let linked = 0;
+  let fallback = 0;
+  const unmatched = [];
+
+  for await (const listing of cursor) {
+    const oldSeller = listing.seller || {};
+    const contactInfo = listing.contactInfo || {};
+
+    const update = {};
+    ['name', 'email', 'phone'].forEach(field => {
+      const value = contactInfo[field] || oldSeller[field];
+      // Skip the placeholders the old create route filled in
+      if (value && value !== 'Anonymous' && value !== 'noreply@example.com') {
+        update[`contactInfo.${field}`] = value;
+      }
+    });
+
+    const user = oldSeller.email && oldSeller.email !== 'noreply@example.com'
+      ? await User.findOne({ email: oldSeller.email.toLowerCase() }).select('_id')
+      : null;
+
+    let sellerId;
+    if (user) {
+      sellerId = user._id;
+      linked += 1;
+    } else if (fallbackSeller) {
+      sellerId = fallbackSeller._id;
+      fallback += 1;
+    } else {
+      unmatched.push(listing._id.toString());
+      continue;
+    }
+
+    if (!DRY_RUN) {
+      await collection.updateOne({ _id: listing._id }, { $set: { ...update, seller: sellerId } });
+    }
+  }
+
+  console.log(`✅ ${collectionName}: ${linked} linked, ${fallback} linked to the fallback seller, ${unmatched.length} left unchanged`);
+  if (unmatched.length > 0) {
+    console.log(`⚠️ ${collectionName} without a matching user: ${unmatched.join(', ')}`);
+    console.log('   Run again with --fallback-seller <userId> to link them');
+  }
+}
+
+async function linkListingSellers() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (DRY_RUN) {
+      console.log('🧪 Dry run: no documents will be changed');
+    }
+
+    const User = require('../models/User');
+
+    let fallbackSeller = null;
+    if (fallbackIndex !== -1) {
+      fallbackSeller = mongoose.isValidObjectId(FALLBACK_SELLER)
+        ? await User.findById(FALLBACK_SELLER).select('_id email')
+        : null;
+      if (!fallbackSeller) {
+        throw new Error(`--fallback-seller must be the id of an existing user (got ${FALLBACK_SELLER})`);
+      }
+      console.log(`👤 Listings without a matching user go to ${fallbackSeller.email || fallbackSeller._id}`);
+    }
+
+    await migrateCollection('bikes', User, fallbackSeller);
+    await migrateCollection('scooters', User, fallbackSeller);
+
+    console.log('\n🎉 Seller migration complete!');
+  } catch (error) {
+    console.error('❌ Error migrating listing sellers:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+linkListingSellers();
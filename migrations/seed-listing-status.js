@@ -0,0 +1,80 @@
+// Seed the lifecycle status of existing vehicle listings
+//
+// Listings now have a status (draft, pending-review, active, reserved, sold,
+// expired, removed) that availability and isActive follow from. Listings
+// created before that have none; this script derives it from the old fields
+// (isActive false -> removed, sold/reserved kept, otherwise active), starts
+// the status history, and gives active listings a full LISTING_EXPIRY_DAYS
+// (default 60) from now before they expire.
+//
+// Usage: node migrations/seed-listing-status.js [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DRY_RUN = process.argv.includes('--dry-run');
+const EXPIRY_DAYS = parseFloat(process.env.LISTING_EXPIRY_DAYS) || 60;
+
+async function seedListingStatus() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (DRY_RUN) {
+      console.log('🧪 Dry run: no documents will be changed');
+    }
+
+    const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+
+    for (const Model of Object.values(VEHICLE_CATEGORIES)) {
+      const filter = { status: { $exists: false } };
+
+      if (DRY_RUN) {
+        const count = await Model.collection.countDocuments(filter);
+        console.log(`📊 ${Model.collection.name}: ${count} listings need a status`);
+        continue;
+      }
+
+      const result = await Model.collection.updateMany(filter, [
+        {
+          $set: {
+            status: {
+              $switch: {
+                branches: [
+                  { case: { $eq: ['$isActive', false] }, then: 'removed' },
+                  { case: { $in: ['$availability', ['sold', 'reserved']] }, then: '$availability' }
+                ],
+                default: 'active'
+              }
+            },
+            publishedAt: { $ifNull: ['$createdAt', '$$NOW'] },
+            statusChangedAt: '$$NOW'
+          }
+        },
+        {
+          $set: {
+            expiresAt: {
+              $cond: [
+                { $eq: ['$status', 'active'] },
+                { $add: ['$$NOW', EXPIRY_DAYS * 24 * 60 * 60 * 1000] },
+                '$$REMOVE'
+              ]
+            },
+            statusHistory: [{ from: null, to: '$status', by: 'system', reason: 'Status seeded', at: '$$NOW' }]
+          }
+        }
+      ]);
+      console.log(`✅ ${Model.collection.name}: seeded status on ${result.modifiedCount} listings`);
+    }
+
+    console.log('\n🎉 Listing status seeding complete!');
+  } catch (error) {
+    console.error('❌ Error seeding listing status:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+seedListingStatus();
@@ -0,0 +1,57 @@
+// Seed the price history of existing vehicle listings
+//
+// Listings now record every asking price change in priceHistory. Listings
+// created before that have no history; this script starts it with one entry
+// holding the current asking price, dated when the listing was created.
+//
+// Usage: node migrations/seed-price-history.js [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function seedPriceHistory() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (DRY_RUN) {
+      console.log('🧪 Dry run: no documents will be changed');
+    }
+
+    const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+
+    for (const Model of Object.values(VEHICLE_CATEGORIES)) {
+      const filter = {
+        $or: [{ priceHistory: { $exists: false } }, { priceHistory: { $size: 0 } }],
+        presentPrice: { $ne: null }
+      };
+
+      if (DRY_RUN) {
+        const count = await Model.collection.countDocuments(filter);
+        console.log(`📊 ${Model.collection.name}: ${count} listings need a price history`);
+        continue;
+      }
+
+      const result = await Model.collection.updateMany(filter, [
+        {
+          $set: {
+            priceHistory: [{ price: '$presentPrice', changedAt: { $ifNull: ['$createdAt', '$$NOW'] } }]
+          }
+        }
+      ]);
+      console.log(`✅ ${Model.collection.name}: seeded price history on ${result.modifiedCount} listings`);
+    }
+
+    console.log('\n🎉 Price history seeding complete!');
+  } catch (error) {
+    console.error('❌ Error seeding price history:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+seedPriceHistory();
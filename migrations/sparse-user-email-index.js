@@ -0,0 +1,64 @@
+// Make the unique index on user emails sparse
+//
+// Accounts created through phone OTP login have no email. The unique index on
+// email used to cover every user, so from the second phone-only signup on it
+// rejects the new account as a duplicate of the first "missing" email.
+// Mongoose does not replace an existing index whose options changed; this
+// script drops the old email_1 index and creates it again as unique + sparse,
+// after clearing any null emails (a sparse index still indexes those).
+//
+// Usage: node migrations/sparse-user-email-index.js [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DRY_RUN = process.argv.includes('--dry-run');
+const INDEX_NAME = 'email_1';
+
+async function sparseUserEmailIndex() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (DRY_RUN) {
+      console.log('🧪 Dry run: no documents will be changed');
+    }
+
+    const User = require('../models/User');
+    const collection = User.collection;
+
+    const nullEmails = { email: { $type: 'null' } };
+    if (DRY_RUN) {
+      const count = await collection.countDocuments(nullEmails);
+      console.log(`📊 users: ${count} with a null email to clear`);
+    } else {
+      const result = await collection.updateMany(nullEmails, { $unset: { email: '' } });
+      console.log(`✅ users: cleared ${result.modifiedCount} null emails`);
+    }
+
+    const indexes = await collection.indexes();
+    const existing = indexes.find(index => index.name === INDEX_NAME);
+    if (existing?.sparse) {
+      console.log(`✅ users: ${INDEX_NAME} is already sparse`);
+    } else if (DRY_RUN) {
+      console.log(`📊 users: ${INDEX_NAME} ${existing ? 'would be rebuilt as sparse' : 'would be created'}`);
+    } else {
+      if (existing) {
+        await collection.dropIndex(INDEX_NAME);
+        console.log(`🗑️ users: dropped ${INDEX_NAME}`);
+      }
+      await collection.createIndex({ email: 1 }, { name: INDEX_NAME, unique: true, sparse: true });
+      console.log(`✅ users: created ${INDEX_NAME} as unique + sparse`);
+    }
+
+    console.log('\n🎉 Email index migration complete!');
+  } catch (error) {
+    console.error('❌ Error migrating the user email index:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+sparseUserEmailIndex();
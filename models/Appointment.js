@@ -0,0 +1,120 @@
+// backend/models/Appointment.js
+
+const mongoose = require('mongoose');
+
+// Appointments that still hold their slot; pending waits for the seller to confirm
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// A buyer's booking of a seller's availability slot to view or test ride a
+// listing. Replaces the free-text preferredDate/preferredTime approach of
+// service requests with a concrete slot; startsAt/endsAt are copied from it.
+const appointmentSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    enum: ['bike', 'scooter', 'car']
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Listing name when the appointment was booked
+  listingTitle: String,
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AvailabilitySlot',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['test-ride', 'inspection'],
+      message: 'Type must be either test-ride or inspection'
+    },
+    default: 'test-ride'
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: [...ACTIVE_STATUSES, 'cancelled', 'completed', 'no-show'],
+    default: 'pending'
+  },
+  cancelledBy: {
+    type: String,
+    enum: ['buyer', 'seller', null],
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Side that did not turn up, set with status no-show
+  noShow: {
+    type: String,
+    enum: ['buyer', 'seller', null],
+    default: null
+  },
+  rescheduleCount: {
+    type: Number,
+    default: 0
+  },
+  // Reminders already sent (see jobs/appointmentReminders.js)
+  remindersSent: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+appointmentSchema.index({ buyer: 1, startsAt: -1 });
+appointmentSchema.index({ seller: 1, startsAt: -1 });
+appointmentSchema.index({ status: 1, startsAt: 1 });
+
+appointmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+// 'buyer' or 'seller' for a participant, null for anyone else
+appointmentSchema.methods.roleOf = function(userId) {
+  const id = userId.toString();
+  if (this.buyer._id.toString() === id) return 'buyer';
+  if (this.seller._id.toString() === id) return 'seller';
+  return null;
+};
+
+// A user's active appointments overlapping the given window, as buyer or seller
+appointmentSchema.statics.findConflicts = function(userId, startsAt, endsAt, excludeId) {
+  const filter = {
+    $or: [{ buyer: userId }, { seller: userId }],
+    status: { $in: ACTIVE_STATUSES },
+    startsAt: { $lt: endsAt },
+    endsAt: { $gt: startsAt }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return this.find(filter);
+};
+
+const Appointment = mongoose.model('Appointment', appointmentSchema);
+
+module.exports = Appointment;
@@ -0,0 +1,63 @@
+// backend/models/AvailabilitySlot.js
+
+const mongoose = require('mongoose');
+
+// A time window in which the seller can show a listing for a viewing or test
+// ride. Each slot takes at most one appointment. category says which listing
+// collection the listing id belongs to.
+const availabilitySlotSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    enum: ['bike', 'scooter', 'car']
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Slot start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'Slot end time is required'],
+    validate: {
+      validator: function(v) {
+        return !this.startsAt || v > this.startsAt;
+      },
+      message: 'Slot must end after it starts'
+    }
+  },
+  // Appointment holding the slot; claimed atomically when booking
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+availabilitySlotSchema.index({ listing: 1, startsAt: 1 });
+availabilitySlotSchema.index({ seller: 1, startsAt: 1, endsAt: 1 });
+
+// Slots of a seller overlapping the given window, across all their listings
+availabilitySlotSchema.statics.findOverlapping = function(sellerId, startsAt, endsAt) {
+  return this.find({
+    seller: sellerId,
+    startsAt: { $lt: endsAt },
+    endsAt: { $gt: startsAt }
+  });
+};
+
+const AvailabilitySlot = mongoose.model('AvailabilitySlot', availabilitySlotSchema);
+
+module.exports = AvailabilitySlot;
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+const { createCarSchema } = require('./vehicleSchema');
+
+const carSchema = createCarSchema({
+  category: 'car',
+  label: 'Car'
+});
+
+const Car = mongoose.model('Car', carSchema);
+
+module.exports = Car;
\ No newline at end of file
@@ -0,0 +1,155 @@
+// backend/models/Conversation.js
+
+const mongoose = require('mongoose');
+const { maskContactDetails } = require('../utils/contactMasking');
+
+const ROLES = ['buyer', 'seller'];
+
+// Per-side flags and counters, keyed buyer/seller
+const perSide = (type, defaultValue) => ({
+  buyer: { type, default: defaultValue },
+  seller: { type, default: defaultValue }
+});
+
+const reportSchema = new mongoose.Schema({
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Report reason is required'],
+    enum: {
+      values: ['spam', 'scam', 'abuse', 'other'],
+      message: 'Reason must be one of: spam, scam, abuse, other'
+    }
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A message thread between a buyer and the owner of one listing. category
+// says which listing collection the listing id belongs to.
+const conversationSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    enum: ['bike', 'scooter', 'car']
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Listing name when the conversation started
+  listingTitle: String,
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Latest message as written, for the conversation list
+  lastMessage: {
+    text: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sentAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Messages each side has not read yet
+  unread: perSide(Number, 0),
+  // Phone numbers and emails in messages are masked until both sides opt in
+  contactSharing: perSide(Boolean, false),
+  // Users who blocked the conversation; nobody can post while anyone has
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  reports: [reportSchema],
+  isReported: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ listing: 1, buyer: 1 }, { unique: true });
+conversationSchema.index({ buyer: 1, lastMessageAt: -1 });
+conversationSchema.index({ seller: 1, lastMessageAt: -1 });
+conversationSchema.index({ isReported: 1, updatedAt: -1 });
+
+conversationSchema.statics.ROLES = ROLES;
+
+// 'buyer' or 'seller' for a participant, null for anyone else
+conversationSchema.methods.roleOf = function(userId) {
+  const id = userId.toString();
+  if (this.buyer._id.toString() === id) return 'buyer';
+  if (this.seller._id.toString() === id) return 'seller';
+  return null;
+};
+
+conversationSchema.virtual('contactsShared').get(function() {
+  return Boolean(this.contactSharing?.buyer && this.contactSharing?.seller);
+});
+
+conversationSchema.virtual('isBlocked').get(function() {
+  return (this.blockedBy || []).length > 0;
+});
+
+// Conversation as seen by one side: its own unread count, whether it blocked
+// the thread and the latest message masked as the messages are; reports are
+// left out
+conversationSchema.methods.toPublicJSON = function(userId) {
+  const role = this.roleOf(userId);
+  const { reports, unread, lastMessage, ...rest } = this.toObject({ virtuals: true });
+
+  const fromOtherSide = lastMessage?.sender && lastMessage.sender.toString() !== userId.toString();
+  const preview = lastMessage && fromOtherSide && !this.contactsShared
+    ? { ...lastMessage, text: maskContactDetails(lastMessage.text) }
+    : lastMessage;
+
+  return {
+    ...rest,
+    lastMessage: preview,
+    unreadCount: role ? unread[role] : 0,
+    blockedByMe: this.blockedBy.some(id => id.toString() === userId.toString())
+  };
+};
+
+// Total unread messages across a user's conversations
+conversationSchema.statics.countUnread = async function(userId) {
+  const [result] = await this.aggregate([
+    { $match: { $or: [{ buyer: userId }, { seller: userId }] } },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: { $cond: [{ $eq: ['$buyer', userId] }, '$unread.buyer', '$unread.seller'] }
+        }
+      }
+    }
+  ]);
+  return result ? result.total : 0;
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
@@ -0,0 +1,39 @@
+// backend/models/Favourite.js
+
+const mongoose = require('mongoose');
+
+// A listing a user has shortlisted. category says which listing collection
+// the id belongs to.
+const favouriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: ['bike', 'scooter', 'car']
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Price when the listing was favourited, to show price changes since
+  priceAtSave: {
+    type: Number,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+favouriteSchema.index({ user: 1, listing: 1 }, { unique: true });
+favouriteSchema.index({ user: 1, createdAt: -1 });
+favouriteSchema.index({ listing: 1 });
+
+const Favourite = mongoose.model('Favourite', favouriteSchema);
+
+module.exports = Favourite;
@@ -0,0 +1,75 @@
+// backend/models/LoginAttempt.js
+
+const mongoose = require('mongoose');
+
+// Audit trail of login attempts, also used for per-IP brute-force throttling.
+// Entries are removed automatically after 90 days.
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Email or phone number the attempt was made with
+  identifier: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'otp'],
+    default: 'password'
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['invalid-credentials', 'account-locked', 'throttled', 'ip-throttled', null],
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Record an attempt made by the given request
+loginAttemptSchema.statics.record = function(req, { user, identifier, method, success, reason }) {
+  return this.create({
+    user: user ? user._id : null,
+    identifier,
+    method,
+    success,
+    reason: reason || null,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent')
+  });
+};
+
+// Number of failed attempts from an IP address since the given time
+loginAttemptSchema.statics.countFailuresByIp = function(ipAddress, since) {
+  return this.countDocuments({
+    ipAddress,
+    success: false,
+    createdAt: { $gte: since }
+  });
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
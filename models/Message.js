@@ -0,0 +1,40 @@
+// backend/models/Message.js
+
+const mongoose = require('mongoose');
+
+// One message in a conversation. text is stored as written; phone numbers and
+// emails are masked when it is shown (see utils/messaging.js).
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Message text is required'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  // When the other side read the message
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, sender: 1, readAt: 1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
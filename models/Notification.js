@@ -0,0 +1,80 @@
+// backend/models/Notification.js
+
+const mongoose = require('mongoose');
+
+// In-app notification shown in the user's notification list.
+// Notifications are removed automatically after 90 days.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'saved-search-match',
+      'saved-search-digest',
+      'favourite-price-drop',
+      'offer-received',
+      'offer-countered',
+      'offer-accepted',
+      'offer-rejected',
+      'offer-withdrawn',
+      'offer-cancelled',
+      'new-message',
+      'appointment-booked',
+      'appointment-confirmed',
+      'appointment-rescheduled',
+      'appointment-cancelled',
+      'appointment-no-show',
+      'appointment-reminder',
+      'listing-approved',
+      'listing-rejected',
+      'listing-expired'
+    ]
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // Frontend path the notification links to, e.g. /bikes/<id>
+  link: {
+    type: String,
+    trim: true
+  },
+  // Ids of the records the notification is about
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Number of unread notifications for a user
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,134 @@
+// backend/models/Offer.js
+
+const mongoose = require('mongoose');
+const events = require('../utils/events');
+
+// Offer statuses; pending waits for the seller, countered for the buyer
+const OPEN_STATUSES = ['pending', 'countered'];
+
+// One step of the negotiation
+const offerEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['offer', 'counter', 'accept', 'reject', 'withdraw', 'expire', 'cancel']
+  },
+  by: {
+    type: String,
+    required: true,
+    enum: ['buyer', 'seller', 'system']
+  },
+  amount: Number,
+  message: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A buyer's offer on a listing and the negotiation that follows. category
+// says which listing collection the listing id belongs to.
+const offerSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    enum: ['bike', 'scooter', 'car']
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Listing name and asking price when the offer was made
+  listingTitle: String,
+  askingPrice: Number,
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Amount currently on the table: the buyer's offer or the latest counter
+  amount: {
+    type: Number,
+    required: [true, 'Offer amount is required'],
+    min: [1, 'Offer amount must be positive']
+  },
+  status: {
+    type: String,
+    enum: [...OPEN_STATUSES, 'accepted', 'rejected', 'withdrawn', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  // An open offer expires unless the other side responds by then; each
+  // counter restarts the clock
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  history: [offerEventSchema]
+}, {
+  timestamps: true
+});
+
+offerSchema.index({ buyer: 1, createdAt: -1 });
+offerSchema.index({ seller: 1, createdAt: -1 });
+offerSchema.index({ listing: 1, status: 1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+// A buyer has at most one open offer per listing, even when two are sent at once
+offerSchema.index(
+  { listing: 1, buyer: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } } }
+);
+
+offerSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+// How long an open offer waits for a response; OFFER_EXPIRY_HOURS, default 48
+offerSchema.statics.getExpiryTime = function(from = new Date()) {
+  const hours = parseFloat(process.env.OFFER_EXPIRY_HOURS) || 48;
+  return new Date(from.getTime() + hours * 60 * 60 * 1000);
+};
+
+// 'buyer' or 'seller' for a participant, null for anyone else
+offerSchema.methods.roleOf = function(userId) {
+  const id = userId.toString();
+  if (this.buyer.toString() === id) return 'buyer';
+  if (this.seller.toString() === id) return 'seller';
+  return null;
+};
+
+// Side whose response the offer is waiting for, or null once it is closed
+offerSchema.virtual('awaiting').get(function() {
+  if (this.status === 'pending') return 'seller';
+  if (this.status === 'countered') return 'buyer';
+  return null;
+});
+
+offerSchema.set('toJSON', { virtuals: true });
+
+// Mark open offers past their expiry as expired and announce each one;
+// returns the number expired
+offerSchema.statics.expireOverdue = async function(now = new Date()) {
+  const overdue = { status: { $in: OPEN_STATUSES }, expiresAt: { $lte: now } };
+  const ids = (await this.find(overdue).select('_id').lean()).map(offer => offer._id);
+  if (ids.length === 0) return 0;
+
+  const result = await this.updateMany(
+    { ...overdue, _id: { $in: ids } },
+    {
+      status: 'expired',
+      $push: { history: { action: 'expire', by: 'system', at: now } }
+    }
+  );
+
+  const expired = await this.find({ _id: { $in: ids }, status: 'expired' });
+  expired.forEach(offer => events.emit('offer:updated', { offer, action: 'expire', by: 'system' }));
+
+  return result.modifiedCount;
+};
+
+const Offer = mongoose.model('Offer', offerSchema);
+
+module.exports = Offer;
@@ -0,0 +1,101 @@
+// backend/models/OtpChallenge.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// One OTP sent to a phone number. Only a keyed hash of the code is stored.
+// Documents are kept for a day so recent requests can be counted for throttling.
+const otpChallengeSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit phone number']
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the code is used, or replaced by a newer one
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+otpChallengeSchema.index({ phone: 1, createdAt: -1 });
+otpChallengeSchema.index({ ipAddress: 1, createdAt: -1 });
+otpChallengeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const getOtpSecret = () => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('OTP_SECRET or JWT_SECRET must be configured');
+  }
+  return secret;
+};
+
+const hashCode = (phone, code) => {
+  return crypto.createHmac('sha256', getOtpSecret()).update(`${phone}:${code}`).digest('hex');
+};
+
+// Create a challenge for a phone number, replacing any code still outstanding
+otpChallengeSchema.statics.issue = async function(phone, { ipAddress, ttlMs }) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await this.updateMany(
+    { phone, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+
+  const challenge = await this.create({
+    phone,
+    codeHash: hashCode(phone, code),
+    ipAddress,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return { code, challenge };
+};
+
+// The latest code for a phone number that can still be used
+otpChallengeSchema.statics.findActive = function(phone) {
+  return this.findOne({
+    phone,
+    consumedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+};
+
+// Count challenges matching a filter created since the given time
+otpChallengeSchema.statics.countSince = function(filter, since) {
+  return this.countDocuments({ ...filter, createdAt: { $gte: since } });
+};
+
+// Constant-time comparison of a submitted code against the stored hash
+otpChallengeSchema.methods.matchCode = function(code) {
+  const expected = Buffer.from(this.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(this.phone, String(code)), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const OtpChallenge = mongoose.model('OtpChallenge', otpChallengeSchema);
+
+module.exports = OtpChallenge;
@@ -0,0 +1,164 @@
+// backend/models/RefreshToken.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Refresh tokens are stored hashed; the raw value is only ever sent to the client.
+// Every login starts a new token "family" (one per device/session) and each
+// refresh rotates the token within that family.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  device: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    userAgent: {
+      type: String,
+      trim: true
+    },
+    ipAddress: {
+      type: String,
+      trim: true
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the token is rotated or its session is revoked
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'revoked', 'reuse-detected', null],
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the session (family) was first created, carried across rotations
+  sessionStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+refreshTokenSchema.index({ user: 1, family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshTokenTtl = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Create a refresh token, starting a new family unless one is passed in
+refreshTokenSchema.statics.issue = async function(userId, { family, device, sessionStartedAt } = {}) {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const record = await this.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    device,
+    sessionStartedAt,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtl())
+  });
+
+  return { token, record };
+};
+
+// Exchange a refresh token for a new one in the same family.
+// Presenting a token that was already rotated means it leaked, so the whole
+// family is revoked and the caller has to log in again.
+refreshTokenSchema.statics.rotate = async function(token, { device } = {}) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Atomically claim the token so concurrent refreshes cannot both succeed
+  const current = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now, revokedReason: 'rotated', lastUsedAt: now },
+    { new: true }
+  );
+
+  if (!current) {
+    const existing = await this.findOne({ tokenHash });
+    if (existing && existing.revokedReason === 'rotated') {
+      await this.revokeFamily(existing.family, 'reuse-detected');
+      return { error: 'reuse' };
+    }
+    return { error: 'invalid' };
+  }
+
+  // Keep the previous device details for anything the client did not resend
+  const previousDevice = current.toObject().device || {};
+  const nextDevice = { ...previousDevice };
+  Object.entries(device || {}).forEach(([key, value]) => {
+    if (value) nextDevice[key] = value;
+  });
+
+  const issued = await this.issue(current.user, {
+    family: current.family,
+    device: nextDevice,
+    sessionStartedAt: current.sessionStartedAt
+  });
+
+  return issued;
+};
+
+// Revoke every live token of a session (token family)
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'revoked') {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every session a user has, e.g. after a password change
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason = 'revoked') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// List a user's active sessions (one live token per family)
+refreshTokenSchema.statics.findActiveSessions = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+};
+
+refreshTokenSchema.statics.hashToken = hashToken;
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
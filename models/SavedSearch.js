@@ -0,0 +1,130 @@
+// backend/models/SavedSearch.js
+
+const mongoose = require('mongoose');
+
+const MAX_PENDING_MATCHES = 50;
+
+// A listing that matched a daily-digest search and has not been sent yet
+const pendingMatchSchema = new mongoose.Schema({
+  category: String,
+  listing: mongoose.Schema.Types.ObjectId,
+  reason: {
+    type: String,
+    enum: ['new', 'price-drop']
+  },
+  title: String,
+  price: Number,
+  matchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A user's saved listing search. filters use the same names and meaning as
+// the query parameters of GET /api/bikes (and the other category lists).
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    enum: {
+      values: ['bike', 'scooter', 'car'],
+      message: 'Category must be one of: bike, scooter, car'
+    }
+  },
+  filters: {
+    type: { type: String, trim: true },
+    condition: {
+      type: String,
+      enum: ['Excellent', 'Good', 'Fair', 'Poor']
+    },
+    brand: { type: String, trim: true, maxlength: 50 },
+    minPrice: { type: Number, min: 0 },
+    maxPrice: { type: Number, min: 0 },
+    minYear: Number,
+    maxYear: Number,
+    city: { type: String, trim: true },
+    search: { type: String, trim: true, maxlength: 100 },
+    transmission: { type: String, trim: true },
+    bodyType: { type: String, trim: true }
+  },
+  // instant: notify on every match; daily: one digest per day
+  frequency: {
+    type: String,
+    enum: {
+      values: ['instant', 'daily'],
+      message: 'Frequency must be either instant or daily'
+    },
+    default: 'instant'
+  },
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  pendingMatches: [pendingMatchSchema],
+  lastNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  lastDigestAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ category: 1, isPaused: 1 });
+savedSearchSchema.index({ frequency: 1, lastDigestAt: 1 });
+
+// Queue a match for the next daily digest, keeping the newest matches only
+savedSearchSchema.statics.queueMatch = function(savedSearchId, match) {
+  return this.updateOne(
+    { _id: savedSearchId },
+    { $push: { pendingMatches: { $each: [match], $slice: -MAX_PENDING_MATCHES } } }
+  );
+};
+
+// Put back matches taken for a digest that could not be sent, ahead of any
+// queued since, and let the next run pick the search up again
+savedSearchSchema.statics.restoreMatches = function(savedSearch) {
+  return this.updateOne(
+    { _id: savedSearch._id },
+    {
+      $push: {
+        pendingMatches: {
+          $each: savedSearch.pendingMatches.map(match => match.toObject()),
+          $position: 0,
+          $slice: -MAX_PENDING_MATCHES
+        }
+      },
+      $set: {
+        lastDigestAt: savedSearch.lastDigestAt,
+        lastNotifiedAt: savedSearch.lastNotifiedAt
+      }
+    }
+  );
+};
+
+// Response shape without the digest queue
+savedSearchSchema.methods.toPublicJSON = function() {
+  const savedSearch = this.toObject();
+  delete savedSearch.pendingMatches;
+  savedSearch.pendingMatchCount = this.pendingMatches.length;
+  return savedSearch;
+};
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
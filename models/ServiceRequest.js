@@ -1,6 +1,7 @@
 // backend/models/ServiceRequest.js
 
 const mongoose = require('mongoose');
+const events = require('../utils/events');
 
 const serviceRequestSchema = new mongoose.Schema({
   user: {
@@ -88,11 +89,27 @@ const serviceRequestSchema = new mongoose.Schema({
   }
 });
 
+// Remember the stored status so status changes can be announced
+serviceRequestSchema.post('init', function(doc) {
+  doc.$locals.savedStatus = doc.status;
+});
+
 serviceRequestSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  const savedStatus = this.$locals.savedStatus;
+  this.$locals.previousStatus = !this.isNew && savedStatus !== this.status ? savedStatus : null;
   next();
 });
 
+serviceRequestSchema.post('save', function(doc) {
+  const { previousStatus } = doc.$locals;
+  doc.$locals.savedStatus = doc.status;
+
+  if (previousStatus) {
+    events.emit('service-request:status-changed', { request: doc, previousStatus });
+  }
+});
+
 const ServiceRequest = mongoose.model('ServiceRequest', serviceRequestSchema);
 
 module.exports = ServiceRequest;
\ No newline at end of file
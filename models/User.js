@@ -3,27 +3,162 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Brute-force protection: failures beyond delayAfter must wait progressively
+// longer (1s, 2s, 4s, ... up to maxDelay) and reaching threshold locks the account
+const LOGIN_LOCKOUT = {
+  delayAfter: 3,
+  maxDelay: 30 * 1000,
+  threshold: 10,
+  duration: 15 * 60 * 1000
+};
+
+const LANGUAGES = ['en', 'hi', 'bn', 'ta', 'te', 'kn', 'ml', 'mr', 'gu', 'pa'];
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     trim: true
   },
+  // Accounts created through phone OTP login may have no email or password
   email: {
     type: String,
-    required: true,
+    required: function () {
+      return !this.phone;
+    },
     unique: true,
+    sparse: true,
     lowercase: true
   },
   password: {
     type: String,
-    required: true,
+    required: function () {
+      return !this.phone;
+    },
     minlength: 6
   },
-  createdAt: {
-    type: Date,
-    default: Date.now
+  role: {
+    type: String,
+    enum: {
+      values: ['buyer', 'seller', 'dealer', 'admin'],
+      message: 'Role must be one of: buyer, seller, dealer, admin'
+    },
+    default: 'buyer'
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit phone number']
+  },
+  // Set once the number has been confirmed with an OTP
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  gender: {
+    type: String,
+    enum: {
+      values: ['male', 'female', 'other'],
+      message: 'Gender must be one of: male, female, other'
+    }
+  },
+  location: {
+    city: {
+      type: String,
+      trim: true
+    },
+    state: {
+      type: String,
+      trim: true
+    }
+  },
+  avatar: {
+    type: String,
+    trim: true,
+    match: [/^https?:\/\//, 'Avatar must be a valid image URL']
+  },
+  preferredLanguage: {
+    type: String,
+    enum: {
+      values: LANGUAGES,
+      message: `Preferred language must be one of: ${LANGUAGES.join(', ')}`
+    },
+    default: 'en'
+  },
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: false
+    },
+    push: {
+      type: Boolean,
+      default: true
+    },
+    marketing: {
+      type: Boolean,
+      default: false
+    }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Consecutive failed password logins since the last success or lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  // New address waiting for confirmation through the email-change flow
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Identifiers of outstanding single-use action tokens (stored hashed)
+  actionTokens: {
+    emailVerification: {
+      type: String,
+      select: false
+    },
+    passwordReset: {
+      type: String,
+      select: false
+    },
+    emailChange: {
+      type: String,
+      select: false
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// A verified phone number identifies a single account
+userSchema.index(
+  { phone: 1 },
+  { unique: true, partialFilterExpression: { phoneVerified: true } }
+);
+
+// Changing the phone number drops its verified status
+userSchema.pre('save', function (next) {
+  if (!this.isNew && this.isModified('phone') && !this.isModified('phoneVerified')) {
+    this.phoneVerified = false;
   }
+  next();
 });
 
 // Hash password before saving
@@ -36,9 +171,84 @@ userSchema.pre('save', async function (next) {
 
 // Compare password method
 userSchema.methods.matchPassword = async function (enteredPassword) {
+  if (!this.password || !enteredPassword) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// How long (ms) the account must wait before another password attempt:
+// { lockedFor } while locked out, { delayFor } during a progressive delay, {} when allowed
+userSchema.methods.getLoginBlock = function () {
+  const now = Date.now();
+
+  if (this.lockUntil && this.lockUntil > now) {
+    return { lockedFor: this.lockUntil - now };
+  }
+
+  const extraFailures = this.failedLoginAttempts - LOGIN_LOCKOUT.delayAfter;
+  if (extraFailures >= 0 && this.lastFailedLoginAt) {
+    const delay = Math.min(1000 * Math.pow(2, extraFailures), LOGIN_LOCKOUT.maxDelay);
+    const remaining = this.lastFailedLoginAt.getTime() + delay - now;
+    if (remaining > 0) {
+      return { delayFor: remaining };
+    }
+  }
+
+  return {};
+};
+
+// Count a failed password login, locking the account at the threshold.
+// Uses atomic updates so concurrent attempts are all counted.
+userSchema.methods.registerFailedLogin = async function () {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+
+  if (updated && updated.failedLoginAttempts >= LOGIN_LOCKOUT.threshold) {
+    const lockUntil = new Date(Date.now() + LOGIN_LOCKOUT.duration);
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { lockUntil, failedLoginAttempts: 0 } }
+    );
+    return { lockedFor: LOGIN_LOCKOUT.duration };
+  }
+
+  return {};
+};
+
+// Clear failure tracking after a successful login
+userSchema.methods.resetLoginFailures = function () {
+  if (!this.failedLoginAttempts && !this.lockUntil) {
+    return Promise.resolve();
+  }
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+  );
+};
+
+// Profile fields that are safe to return to the account owner
+userSchema.methods.toProfileJSON = function () {
+  return {
+    _id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    emailVerified: this.emailVerified,
+    pendingEmail: this.pendingEmail,
+    phone: this.phone,
+    phoneVerified: this.phoneVerified,
+    gender: this.gender,
+    location: this.location,
+    avatar: this.avatar,
+    preferredLanguage: this.preferredLanguage,
+    notificationPreferences: this.notificationPreferences,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
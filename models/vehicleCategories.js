@@ -0,0 +1,15 @@
+// backend/models/vehicleCategories.js
+
+const Bike = require('./Bike');
+const Scooter = require('./Scooter');
+const Car = require('./Car');
+
+// Every listing model that is searchable through /api/vehicles, keyed by the
+// category name returned to clients. New vehicle categories register here.
+const VEHICLE_CATEGORIES = {
+  bike: Bike,
+  scooter: Scooter,
+  car: Car
+};
+
+module.exports = VEHICLE_CATEGORIES;
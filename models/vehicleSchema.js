@@ -0,0 +1,807 @@
+// backend/models/vehicleSchema.js
+
+const mongoose = require('mongoose');
+const events = require('../utils/events');
+
+// Changes to these fields are announced as listing:changed
+const ANNOUNCED_FIELDS = ['name', 'brand', 'model', 'location.city', 'status', 'availability', 'isActive'];
+
+// Price history entries kept per listing
+const MAX_PRICE_HISTORY = 100;
+
+// A listing counts as recently reduced for this many days after a price drop
+const RECENTLY_REDUCED_DAYS = 14;
+
+// Listing lifecycle. draft and pending-review listings are not published yet;
+// active ones expire after LISTING_EXPIRY_DAYS unless renewed.
+const LISTING_STATUSES = ['draft', 'pending-review', 'active', 'reserved', 'sold', 'expired', 'removed'];
+
+// Statuses each status may move to
+const STATUS_TRANSITIONS = {
+  draft: ['pending-review', 'active', 'removed'],
+  'pending-review': ['active', 'draft', 'removed'],
+  active: ['reserved', 'sold', 'expired', 'removed'],
+  reserved: ['active', 'sold', 'removed'],
+  sold: ['removed'],
+  expired: ['active', 'removed'],
+  removed: []
+};
+
+// availability and isActive follow from the status; they are kept so buyer
+// facing queries can go on filtering on { isActive: true, availability }
+const STATUS_FIELDS = {
+  draft: { availability: 'available', isActive: false },
+  'pending-review': { availability: 'available', isActive: false },
+  active: { availability: 'available', isActive: true },
+  reserved: { availability: 'reserved', isActive: true },
+  sold: { availability: 'sold', isActive: true },
+  expired: { availability: 'available', isActive: false },
+  removed: { availability: 'available', isActive: false }
+};
+
+// Status history entries kept per listing
+const MAX_STATUS_HISTORY = 100;
+
+// Status of a listing saved before statuses existed
+const legacyStatus = ({ availability, isActive }) => {
+  if (isActive === false) return 'removed';
+  if (availability === 'sold' || availability === 'reserved') return availability;
+  return 'active';
+};
+
+// Shared definition for every vehicle listing category. Each category keeps
+// its own model and collection (bikes, scooters, ...) and adds its own fields
+// on top of these through createVehicleSchema({ fields }).
+
+// A stored photo; url is the large rendition
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required'],
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^https?:\/\//.test(v) || /^\/uploads\//.test(v);
+      },
+      message: 'Please provide a valid image URL'
+    }
+  },
+  mediumUrl: {
+    type: String,
+    trim: true
+  },
+  thumbnailUrl: {
+    type: String,
+    trim: true
+  },
+  // Storage location of the renditions; unset for external URLs
+  storageKey: {
+    type: String,
+    trim: true
+  },
+  width: Number,
+  height: Number,
+  caption: {
+    type: String,
+    trim: true,
+    maxLength: [200, 'Caption cannot exceed 200 characters']
+  },
+  // Photo shown in list results; exactly one per listing
+  isCover: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// One status change of a listing; from is null for the first entry. A
+// renewal is recorded as active -> active.
+const statusEventSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...LISTING_STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    required: true,
+    enum: LISTING_STATUSES
+  },
+  by: {
+    type: String,
+    enum: ['seller', 'buyer', 'admin', 'system'],
+    default: 'seller'
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Asking price compared with the estimated market price (utils/valuation.js)
+const marketPriceSchema = new mongoose.Schema({
+  estimate: Number,
+  low: Number,
+  high: Number,
+  position: {
+    type: String,
+    enum: ['below', 'at', 'above']
+  },
+  confidence: {
+    type: String,
+    enum: ['low', 'medium', 'high']
+  },
+  updatedAt: Date
+}, { _id: false });
+
+// Fields common to all listings; label is used in validation messages ("Bike")
+const baseFields = (label) => ({
+  name: {
+    type: String,
+    required: [true, `${label} name is required`],
+    trim: true,
+    maxLength: [100, `${label} name cannot exceed 100 characters`]
+  },
+  brand: {
+    type: String,
+    required: [true, 'Brand is required'],
+    trim: true,
+    maxLength: [50, 'Brand cannot exceed 50 characters']
+  },
+  model: {
+    type: String,
+    trim: true,
+    maxLength: [50, 'Model cannot exceed 50 characters']
+  },
+  year: {
+    type: Number,
+    required: [true, 'Year is required'],
+    min: [2000, 'Year must be 2000 or later'],
+    max: [new Date().getFullYear() + 1, 'Year cannot be in the future']
+  },
+  daysUsed: {
+    type: Number,
+    required: [true, 'Days used is required'],
+    min: [0, 'Days used cannot be negative']
+  },
+  condition: {
+    type: String,
+    required: [true, 'Condition is required'],
+    enum: {
+      values: ['Excellent', 'Good', 'Fair', 'Poor'],
+      message: 'Condition must be one of: Excellent, Good, Fair, Poor'
+    }
+  },
+  mileage: {
+    type: Number,
+    required: [true, 'Mileage is required'],
+    min: [0, 'Mileage cannot be negative']
+  },
+  presentPrice: {
+    type: Number,
+    required: [true, 'Present price is required'],
+    min: [0, 'Present price cannot be negative']
+  },
+  // Price of the vehicle when new (not a previous asking price); also
+  // readable and writable as originalPrice
+  pastPrice: {
+    type: Number,
+    required: [true, 'Original price is required'],
+    min: [0, 'Original price cannot be negative'],
+    alias: 'originalPrice'
+  },
+  // Asking price before the most recent price change
+  previousPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // When the asking price was last lowered; cleared when it is raised again
+  priceDroppedAt: {
+    type: Date,
+    default: null
+  },
+  // Every asking price with the time it was set, oldest first. Not loaded by
+  // default; read it through GET /:id/price-history.
+  priceHistory: {
+    type: [{
+      _id: false,
+      price: Number,
+      changedAt: Date
+    }],
+    select: false
+  },
+  // Set by the market price updater when the listing or its price changes,
+  // and refreshed daily; null while there is not enough data for an estimate
+  marketPrice: {
+    type: marketPriceSchema,
+    default: null
+  },
+  license: {
+    type: String,
+    required: [true, 'License number is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]+$/, 'Please enter a valid license number']
+  },
+  // Photos uploaded through POST /api/uploads/images; a plain URL string is
+  // accepted as { url }
+  images: {
+    type: [imageSchema],
+    set: images => (images || []).map(image => (typeof image === 'string' ? { url: image } : image))
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  features: [{
+    type: String,
+    trim: true
+  }],
+  location: {
+    city: {
+      type: String,
+      trim: true
+    },
+    state: {
+      type: String,
+      trim: true
+    },
+    country: {
+      type: String,
+      trim: true,
+      default: 'India'
+    }
+  },
+  // Account that owns the listing
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required']
+  },
+  contactInfo: {
+    name: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true,
+      match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit phone number']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+    whatsapp: {
+      type: String,
+      trim: true,
+      match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit WhatsApp number']
+    }
+  },
+  status: {
+    type: String,
+    enum: LISTING_STATUSES,
+    default: 'active'
+  },
+  // Timestamped status changes, oldest first; not loaded by default
+  statusHistory: {
+    type: [statusEventSchema],
+    select: false
+  },
+  statusChangedAt: Date,
+  // First time the listing went active
+  publishedAt: Date,
+  // When an active listing expires unless renewed
+  expiresAt: Date,
+  // Derived from status (see STATUS_FIELDS)
+  availability: {
+    type: String,
+    enum: ['available', 'sold', 'reserved'],
+    default: 'available'
+  },
+  isPromoted: {
+    type: Boolean,
+    default: false
+  },
+  rating: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 0
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  viewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Number of users who favourited the listing
+  favouriteCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Derived from status: whether buyers can see the listing
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Fields for cars
+const carFields = () => ({
+  fuelType: {
+    type: String,
+    required: [true, 'Fuel type is required'],
+    enum: {
+      values: ['Petrol', 'Diesel', 'CNG', 'Electric', 'Hybrid'],
+      message: 'Fuel type must be one of: Petrol, Diesel, CNG, Electric, Hybrid'
+    }
+  },
+  transmission: {
+    type: String,
+    required: [true, 'Transmission is required'],
+    enum: {
+      values: ['Manual', 'Automatic'],
+      message: 'Transmission must be either Manual or Automatic'
+    }
+  },
+  bodyType: {
+    type: String,
+    required: [true, 'Body type is required'],
+    enum: {
+      values: ['Hatchback', 'Sedan', 'SUV', 'MUV', 'Coupe', 'Convertible', 'Pickup', 'Van'],
+      message: 'Body type must be one of: Hatchback, Sedan, SUV, MUV, Coupe, Convertible, Pickup, Van'
+    }
+  },
+  seatingCapacity: {
+    type: Number,
+    required: [true, 'Seating capacity is required'],
+    min: [2, 'Seating capacity must be at least 2'],
+    max: [10, 'Seating capacity cannot exceed 10']
+  },
+  // Number of registered owners so far, including the seller
+  ownerCount: {
+    type: Number,
+    required: [true, 'Ownership count is required'],
+    min: [1, 'Ownership count must be at least 1'],
+    default: 1
+  },
+  rcValidUntil: {
+    type: Date
+  },
+  insuranceValidUntil: {
+    type: Date
+  }
+});
+
+// Fields shared by two-wheelers (bikes and scooters); plural is used in
+// validation messages ("bikes")
+const twoWheelerFields = (label, plural) => ({
+  type: {
+    type: String,
+    required: [true, `${label} type is required`],
+    enum: {
+      values: ['Petrol', 'Electric'],
+      message: 'Type must be either Petrol or Electric'
+    }
+  },
+  engineCapacity: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return this.type !== 'Petrol' || (v && v.length > 0);
+      },
+      message: `Engine capacity is required for petrol ${plural}`
+    }
+  },
+  batteryCapacity: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return this.type !== 'Electric' || (v && v.length > 0);
+      },
+      message: `Battery capacity is required for electric ${plural}`
+    }
+  },
+  topSpeed: {
+    type: Number,
+    required: [true, 'Top speed is required'],
+    min: [0, 'Top speed cannot be negative']
+  }
+});
+
+// Build a listing schema for one vehicle category. typeField is the field that
+// /type/:type and ?type= filter on ('type' for two-wheelers, 'fuelType' for cars).
+const createVehicleSchema = ({ category, label, typeField = 'type', fields = {} }) => {
+  const schema = new mongoose.Schema({
+    ...baseFields(label),
+    ...fields,
+    // Category discriminator stored on every document, e.g. 'bike'
+    category: {
+      type: String,
+      default: category,
+      immutable: true
+    }
+  }, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  });
+
+  // Virtual for calculating discount percentage
+  schema.virtual('discount').get(function() {
+    if (this.pastPrice && this.presentPrice) {
+      return Math.round(((this.pastPrice - this.presentPrice) / this.pastPrice) * 100);
+    }
+    return 0;
+  });
+
+  // Virtual for calculating price difference
+  schema.virtual('priceDifference').get(function() {
+    if (this.pastPrice && this.presentPrice) {
+      return this.pastPrice - this.presentPrice;
+    }
+    return 0;
+  });
+
+  // Index for better search performance
+  schema.index({ brand: 1, name: 1 });
+  schema.index({ presentPrice: 1 });
+  schema.index({ condition: 1 });
+  schema.index({ availability: 1 });
+  schema.index({ isActive: 1 });
+  schema.index({ createdAt: -1 });
+  schema.index({ seller: 1 });
+  schema.index({ model: 1 });
+  schema.index({ priceDroppedAt: -1 });
+  schema.index({ status: 1, expiresAt: 1 });
+
+  // Weighted full-text index behind ?search=; names rank above descriptions
+  schema.index(
+    { name: 'text', brand: 'text', model: 'text', description: 'text', features: 'text' },
+    {
+      name: 'listing_text_search',
+      weights: { name: 10, brand: 8, model: 8, description: 2, features: 2 }
+    }
+  );
+  schema.index({ [typeField]: 1 });
+
+  // Category name and the field listings are grouped by type on
+  schema.statics.category = category;
+  schema.statics.typeField = typeField;
+  schema.statics.STATUSES = LISTING_STATUSES;
+
+  // How long a listing stays active; LISTING_EXPIRY_DAYS, default 60
+  schema.statics.getExpiryTime = function(from = new Date()) {
+    const days = parseFloat(process.env.LISTING_EXPIRY_DAYS) || 60;
+    return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+  };
+
+  // Whether new listings wait for an admin before going active;
+  // LISTING_REVIEW_REQUIRED=true turns review on
+  schema.statics.isReviewRequired = function() {
+    return process.env.LISTING_REVIEW_REQUIRED === 'true';
+  };
+
+  // Whether the lifecycle allows moving from one status to another
+  schema.statics.canTransition = function(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  };
+
+  // Move a listing between two statuses with one conditional update, for
+  // changes that race with others (reserving for an accepted offer, expiry).
+  // Returns the updated listing, or null if it no longer had status from.
+  // Announced like a saved change.
+  schema.statics.switchStatus = async function(id, from, to, { by = 'system', reason } = {}) {
+    if (!this.canTransition(from, to)) {
+      throw new Error(`${label} cannot go from ${from} to ${to}`);
+    }
+
+    const now = new Date();
+    const set = { status: to, ...STATUS_FIELDS[to], statusChangedAt: now };
+    if (to === 'active' && from !== 'reserved') {
+      set.expiresAt = this.getExpiryTime(now);
+    }
+
+    const listing = await this.findOneAndUpdate(
+      // Listings saved before statuses existed are matched on the old fields
+      { _id: id, $or: [{ status: from }, { status: { $exists: false }, ...STATUS_FIELDS[from] }] },
+      {
+        $set: set,
+        $push: { statusHistory: { $each: [{ from, to, by, reason, at: now }], $slice: -MAX_STATUS_HISTORY } }
+      },
+      { new: true }
+    );
+
+    if (listing) {
+      events.emit('listing:status-changed', {
+        category,
+        listing,
+        previousStatus: from,
+        previousAvailability: STATUS_FIELDS[from].availability,
+        previousIsActive: STATUS_FIELDS[from].isActive
+      });
+      events.emit('listing:changed', { category, listing });
+    }
+    return listing;
+  };
+
+  // Expire active listings past their expiresAt; returns the expired listings
+  schema.statics.expireOverdue = async function(now = new Date()) {
+    const overdue = await this.find({ status: 'active', expiresAt: { $lte: now } }).select('_id').lean();
+
+    const expired = [];
+    for (const { _id } of overdue) {
+      const listing = await this.switchStatus(_id, 'active', 'expired', { reason: 'Not renewed in time' });
+      if (listing) expired.push(listing);
+    }
+    return expired;
+  };
+
+  // Keep exactly one cover photo: the flagged one, otherwise the first
+  schema.pre('save', function(next) {
+    if (this.isModified('images') && this.images.length > 0) {
+      const cover = this.images.find(image => image.isCover) || this.images[0];
+      this.images.forEach(image => {
+        image.isCover = image === cover;
+      });
+    }
+    next();
+  });
+
+  // Remember the stored price and status so changes can be detected on save
+  schema.post('init', function(doc) {
+    if (doc.$isDefault('status') && doc.isSelected('availability') && doc.isSelected('isActive')) {
+      doc.status = legacyStatus(doc);
+      doc.unmarkModified('status');
+    }
+    doc.$locals.savedPrice = doc.presentPrice;
+    doc.$locals.savedStatus = { status: doc.status, availability: doc.availability, isActive: doc.isActive };
+  });
+
+  // Move the listing to another status; saving checks the change is allowed.
+  // Going active from any status but reserved (re)starts the expiry clock.
+  schema.methods.setStatus = function(status, { by = 'seller', reason } = {}) {
+    const previous = this.status;
+    this.status = status;
+    this.$locals.statusNote = { by, reason };
+
+    if (status === 'active' && previous !== 'reserved') {
+      this.expiresAt = this.constructor.getExpiryTime();
+    }
+    return this;
+  };
+
+  // Keep an active listing up for another LISTING_EXPIRY_DAYS, or bring back
+  // an expired one
+  schema.methods.renew = function({ by = 'seller' } = {}) {
+    if (this.status === 'expired') {
+      return this.setStatus('active', { by, reason: 'Renewed' });
+    }
+
+    this.expiresAt = this.constructor.getExpiryTime();
+    this.$locals.statusNote = { by, reason: 'Renewed', renewal: true };
+    return this;
+  };
+
+  // Refuse status changes the lifecycle doesn't allow, e.g. sold -> draft
+  schema.pre('validate', function(next) {
+    const savedStatus = this.$locals.savedStatus;
+    if (!this.isNew && savedStatus && this.isModified('status') &&
+        this.status !== savedStatus.status && !this.constructor.canTransition(savedStatus.status, this.status)) {
+      this.invalidate('status', `${label} cannot go from ${savedStatus.status} to ${this.status}`);
+    }
+    next();
+  });
+
+  // Derive availability and isActive from the status and work out the
+  // history entry to record
+  schema.pre('save', function(next) {
+    const savedStatus = this.$locals.savedStatus;
+    const note = this.$locals.statusNote || {};
+    const now = new Date();
+    this.$locals.statusNote = null;
+    this.$locals.statusEntry = null;
+
+    if (this.isNew || this.status !== savedStatus?.status) {
+      Object.assign(this, STATUS_FIELDS[this.status]);
+      this.statusChangedAt = now;
+      if (this.status === 'active') {
+        this.publishedAt = this.publishedAt || now;
+        this.expiresAt = this.expiresAt || this.constructor.getExpiryTime(now);
+      }
+      this.$locals.statusEntry = {
+        from: this.isNew ? null : savedStatus?.status || null,
+        to: this.status,
+        by: note.by || 'seller',
+        reason: note.reason,
+        at: now
+      };
+    } else if (note.renewal) {
+      this.$locals.statusEntry = { from: this.status, to: this.status, by: note.by, reason: note.reason, at: now };
+    }
+
+    if (this.isNew && this.$locals.statusEntry) {
+      this.statusHistory = [this.$locals.statusEntry];
+    }
+    next();
+  });
+
+  // Record price changes and decide which events to announce; view count
+  // updates are not announced
+  schema.pre('save', function(next) {
+    const savedPrice = this.$locals.savedPrice;
+    this.$locals.wasNew = this.isNew;
+    this.$locals.published = this.isModified('publishedAt') && Boolean(this.publishedAt);
+    this.$locals.announceChange = this.isNew || this.isModified(ANNOUNCED_FIELDS);
+    this.$locals.priceChange = null;
+    this.$locals.statusChange = null;
+
+    const savedStatus = this.$locals.savedStatus;
+    if (!this.isNew && savedStatus && (this.status !== savedStatus.status ||
+        this.availability !== savedStatus.availability || this.isActive !== savedStatus.isActive)) {
+      this.$locals.statusChange = savedStatus;
+    }
+
+    if (this.isNew) {
+      this.priceHistory = [{ price: this.presentPrice, changedAt: new Date() }];
+    } else if (savedPrice !== undefined && this.presentPrice !== savedPrice) {
+      this.previousPrice = savedPrice;
+      this.priceDroppedAt = this.presentPrice < savedPrice ? new Date() : null;
+      this.$locals.priceChange = { price: this.presentPrice, changedAt: new Date(), previousPrice: savedPrice };
+    }
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    const { wasNew, published, announceChange, priceChange, statusChange, statusEntry } = doc.$locals;
+    doc.$locals.savedPrice = doc.presentPrice;
+    doc.$locals.savedStatus = { status: doc.status, availability: doc.availability, isActive: doc.isActive };
+
+    // The histories are usually not loaded, so new entries are appended in
+    // the database
+    const push = {};
+    if (priceChange) {
+      push.priceHistory = {
+        $each: [{ price: priceChange.price, changedAt: priceChange.changedAt }],
+        $slice: -MAX_PRICE_HISTORY
+      };
+    }
+    if (statusEntry && !wasNew) {
+      push.statusHistory = { $each: [statusEntry], $slice: -MAX_STATUS_HISTORY };
+    }
+    if (Object.keys(push).length > 0) {
+      await doc.constructor.updateOne({ _id: doc._id }, { $push: push });
+    }
+
+    if (wasNew) {
+      events.emit('listing:created', { category, listing: doc });
+    }
+    if (published) {
+      events.emit('listing:published', { category, listing: doc });
+    }
+    if (priceChange) {
+      events.emit('listing:price-changed', { category, listing: doc, previousPrice: priceChange.previousPrice });
+    }
+    if (priceChange && priceChange.price < priceChange.previousPrice) {
+      events.emit('listing:price-dropped', { category, listing: doc, previousPrice: priceChange.previousPrice });
+    }
+    if (statusChange) {
+      events.emit('listing:status-changed', {
+        category,
+        listing: doc,
+        previousStatus: statusChange.status,
+        previousAvailability: statusChange.availability,
+        previousIsActive: statusChange.isActive
+      });
+    }
+    if (announceChange) {
+      events.emit('listing:changed', { category, listing: doc });
+    }
+  });
+
+  // Filter for listings whose price was lowered in the last RECENTLY_REDUCED_DAYS
+  schema.statics.recentlyReducedFilter = function() {
+    return {
+      priceDroppedAt: { $gte: new Date(Date.now() - RECENTLY_REDUCED_DAYS * 24 * 60 * 60 * 1000) }
+    };
+  };
+
+  // $project stage hiding the select: false fields, which aggregations
+  // would otherwise return
+  schema.statics.hiddenFieldsStage = function() {
+    return { $project: { priceHistory: 0, statusHistory: 0 } };
+  };
+
+  // Static method to find available listings
+  schema.statics.findAvailable = function() {
+    return this.find({ availability: 'available', isActive: true });
+  };
+
+  // Static method to find listings within price range
+  schema.statics.findByPriceRange = function(minPrice, maxPrice) {
+    return this.find({
+      presentPrice: { $gte: minPrice, $lte: maxPrice },
+      availability: 'available',
+      isActive: true
+    });
+  };
+
+  // Static method to find listings by type
+  schema.statics.findByType = function(type) {
+    return this.find({ [typeField]: type, availability: 'available', isActive: true });
+  };
+
+  // Instance method to increment view count
+  schema.methods.incrementViewCount = function() {
+    this.viewCount += 1;
+    return this.save();
+  };
+
+  // Instance method to mark as sold
+  schema.methods.markAsSold = function(options) {
+    this.setStatus('sold', options);
+    return this.save();
+  };
+
+  return schema;
+};
+
+// Build a bike/scooter schema: the shared fields plus petrol/electric details
+const createTwoWheelerSchema = ({ category, label, plural }) => {
+  const schema = createVehicleSchema({
+    category,
+    label,
+    fields: twoWheelerFields(label, plural)
+  });
+
+  // Pre-save middleware to ensure data consistency
+  schema.pre('save', function(next) {
+    // Validate engine or battery capacity based on type
+    if (this.type === 'Petrol' && !this.engineCapacity) {
+      return next(new Error(`Engine capacity is required for petrol ${plural}`));
+    }
+    
+    if (this.type === 'Electric' && !this.batteryCapacity) {
+      return next(new Error(`Battery capacity is required for electric ${plural}`));
+    }
+    
+    next();
+  });
+
+  return schema;
+};
+
+// Build a car schema: the shared fields plus fuel, transmission and papers
+const createCarSchema = ({ category, label }) => {
+  const schema = createVehicleSchema({
+    category,
+    label,
+    typeField: 'fuelType',
+    fields: carFields()
+  });
+
+  schema.index({ transmission: 1 });
+  schema.index({ bodyType: 1 });
+
+  return schema;
+};
+
+module.exports = {
+  LISTING_STATUSES,
+  legacyStatus,
+  createVehicleSchema,
+  createTwoWheelerSchema,
+  createCarSchema
+};
@@ -23,12 +23,14 @@ router.get('/', (req, res) => {
             email: 'string (required)',
             password: 'string (required, min 6 chars with special char)',
             phone: 'string (optional)',
-            gender: 'string (optional: male|female|other)'
+            gender: 'string (optional: male|female|other)',
+            role: 'string (optional: buyer|seller, default: buyer)'
           },
           response: {
             message: 'string',
             data: {
               token: 'string',
+              refreshToken: 'string',
               user: 'User object'
             }
           }
@@ -36,7 +38,7 @@ router.get('/', (req, res) => {
         login: {
           method: 'POST',
           path: '/auth/login',
-          description: 'Login user',
+          description: 'Login user. Repeated failures are throttled (429) and lock the account for 15 minutes (423); both include Retry-After',
           body: {
             email: 'string (required)',
             password: 'string (required)'
@@ -45,10 +47,94 @@ router.get('/', (req, res) => {
             message: 'string',
             data: {
               token: 'string',
+              refreshToken: 'string',
               user: 'User object'
             }
           }
         },
+        requestOtp: {
+          method: 'POST',
+          path: '/auth/otp/request',
+          description: 'Send a 6-digit login code by SMS (throttled per number and per IP)',
+          body: {
+            phone: 'string (required, 10 digits)'
+          }
+        },
+        verifyOtp: {
+          method: 'POST',
+          path: '/auth/otp/verify',
+          description: 'Verify the code and log in; creates the account on first login',
+          body: {
+            phone: 'string (required, 10 digits)',
+            code: 'string (required)',
+            name: 'string (required for new accounts)'
+          },
+          response: {
+            message: 'string',
+            data: {
+              token: 'string',
+              refreshToken: 'string',
+              isNewUser: 'boolean',
+              user: 'User object'
+            }
+          }
+        },
+        refresh: {
+          method: 'POST',
+          path: '/auth/refresh',
+          description: 'Rotate a refresh token and get a new access token',
+          body: {
+            refreshToken: 'string (required)'
+          },
+          response: {
+            message: 'string',
+            data: {
+              token: 'string',
+              refreshToken: 'string'
+            }
+          }
+        },
+        logout: {
+          method: 'POST',
+          path: '/auth/logout',
+          description: 'Revoke the session that owns the refresh token',
+          body: {
+            refreshToken: 'string (required)'
+          }
+        },
+        verifyEmail: {
+          method: 'POST',
+          path: '/auth/verify-email',
+          description: 'Verify an email address with the emailed token. POST /auth/verify-email/resend (requires auth) sends a new link',
+          body: {
+            token: 'string (required)'
+          }
+        },
+        forgotPassword: {
+          method: 'POST',
+          path: '/auth/forgot-password',
+          description: 'Email a password reset link (valid for 1 hour)',
+          body: {
+            email: 'string (required)'
+          }
+        },
+        resetPassword: {
+          method: 'POST',
+          path: '/auth/reset-password',
+          description: 'Set a new password with the emailed token; signs out all sessions',
+          body: {
+            token: 'string (required)',
+            password: 'string (required, min 6 chars)'
+          }
+        },
+        sessions: {
+          method: 'GET',
+          path: '/auth/sessions',
+          description: 'List active sessions/devices (requires auth). DELETE /auth/sessions/:sessionId revokes one, DELETE /auth/sessions revokes all others',
+          headers: {
+            Authorization: 'Bearer {token}'
+          }
+        },
         profile: {
           method: 'GET',
           path: '/auth/profile',
@@ -62,6 +148,47 @@ router.get('/', (req, res) => {
               user: 'User object'
             }
           }
+        },
+        loginHistory: {
+          method: 'GET',
+          path: '/auth/profile/login-history',
+          description: 'Recent login attempts on the account: time, IP, user agent, success/failure (requires auth)',
+          headers: {
+            Authorization: 'Bearer {token}'
+          },
+          query: {
+            page: 'number (default: 1)',
+            limit: 'number (default: 20)'
+          }
+        },
+        updateProfile: {
+          method: 'PUT',
+          path: '/auth/profile',
+          description: 'Update user profile (requires auth)',
+          headers: {
+            Authorization: 'Bearer {token}'
+          },
+          body: {
+            name: 'string (optional)',
+            phone: 'string (optional, 10 digits)',
+            gender: 'string (optional: male|female|other)',
+            location: '{ city, state } (optional)',
+            avatar: 'string (optional, image URL)',
+            preferredLanguage: 'string (optional: en|hi|bn|ta|te|kn|ml|mr|gu|pa)',
+            notificationPreferences: '{ email, sms, push, marketing } (optional, booleans)'
+          }
+        },
+        changeEmail: {
+          method: 'POST',
+          path: '/auth/profile/email',
+          description: 'Request an email change; a confirmation link is sent to the new address (requires auth). Confirm with POST /auth/profile/email/confirm { token }',
+          headers: {
+            Authorization: 'Bearer {token}'
+          },
+          body: {
+            newEmail: 'string (required)',
+            password: 'string (required)'
+          }
         }
       },
       
@@ -70,49 +197,570 @@ router.get('/', (req, res) => {
         getAll: {
           method: 'GET',
           path: '/vehicles',
-          description: 'Get all vehicles with filtering',
+          description: 'Search all vehicle categories together; each result carries a category field',
           query: {
             page: 'number (default: 1)',
-            limit: 'number (default: 12)',
-            type: 'string (bike|scooter|car)',
-            condition: 'string (new|used|certified-pre-owned)',
-            brand: 'string',
-            model: 'string',
+            limit: 'number (default: 12, max: 50)',
+            category: 'string (bike|scooter|car, comma-separated; alias: type)',
+            condition: 'string (Excellent|Good|Fair|Poor)',
+            brand: 'string (contains, case-insensitive)',
+            model: 'string (prefix match)',
             minPrice: 'number',
             maxPrice: 'number',
-            fuelType: 'string (petrol|diesel|electric|hybrid|cng)',
-            transmission: 'string (manual|automatic|cvt)',
-            location: 'string',
-            sort: 'string (default: createdAt)',
-            order: 'string (asc|desc, default: desc)',
-            search: 'string'
+            minYear: 'number',
+            maxYear: 'number',
+            fuelType: 'string (petrol|diesel|cng|electric|hybrid)',
+            city: 'string (alias: location)',
+            availability: 'string (available|reserved|sold, default: available)',
+            recentlyReduced: 'boolean (only listings whose price dropped in the last 14 days)',
+            sort: 'string (createdAt|price|year|mileage|viewCount|priceDroppedAt, prefix with - for descending; default: -createdAt)',
+            order: 'string (asc|desc, overrides the sort prefix)',
+            search: 'string (full-text over name, brand, model, description and features; max 100 characters; a partly typed last word also matches brand/model names starting with it; results are ranked by relevance unless sort is given)'
+          },
+          response: {
+            message: 'string',
+            data: {
+              vehicles: 'array of Vehicle objects with category; images is replaced by coverImage (cover thumbnail URL) and imageCount',
+              pagination: 'object'
+            }
           }
         },
         getOne: {
           method: 'GET',
           path: '/vehicles/:id',
-          description: 'Get single vehicle by ID'
+          description: 'Get single vehicle by ID from any category. Drafts and listings under review are only shown to their seller and admins (optional auth)'
+        },
+        manage: {
+          description: 'Listings are created, updated and deleted through their category endpoints: /bikes, /scooters and /cars (requires auth & ownership)'
+        },
+        categoryList: {
+          method: 'GET',
+          path: '/:category (bikes|scooters|cars)',
+          description: 'List one category\'s listings. With facets=true the response also has data.facets: counts per brand, condition, type, year range, price range and city (plus transmission and bodyType for cars) for the current filters, each ignoring its own selection',
+          query: {
+            page: 'number (default: 1)',
+            limit: 'number (default: 10)',
+            type: 'string',
+            condition: 'string (Excellent|Good|Fair|Poor)',
+            brand: 'string (contains, case-insensitive)',
+            model: 'string (prefix match)',
+            minPrice: 'number',
+            maxPrice: 'number',
+            minYear: 'number',
+            maxYear: 'number',
+            city: 'string (alias: location)',
+            search: 'string',
+            recentlyReduced: 'boolean (only listings whose price dropped in the last 14 days)',
+            sort: 'string (default: -createdAt, relevance when searching, or -priceDroppedAt with recentlyReduced)',
+            facets: 'boolean (default: false)'
+          },
+          response: {
+            message: 'string',
+            data: {
+              '[category]': 'array of listings with coverImage',
+              pagination: 'object',
+              facets: '{ brand: [{ value, count }], year: [{ min, max, count }], price: [{ min, max, count }], ... } (max is exclusive, null for the open-ended range)'
+            }
+          }
+        },
+        priceHistory: {
+          method: 'GET',
+          path: '/:category/:id/price-history',
+          description: 'Every asking price the listing has had, oldest first (last 100 changes). Like GET /:category/:id, drafts and listings under review are only shown to their seller and admins',
+          response: {
+            message: 'string',
+            data: {
+              listingId: 'ObjectId',
+              currentPrice: 'number',
+              previousPrice: 'number | null',
+              originalPrice: 'number (price when new)',
+              priceDroppedAt: 'Date | null',
+              history: 'array of { price, changedAt }'
+            }
+          }
+        },
+        lifecycle: {
+          description: 'A listing moves through draft -> (pending-review) -> active -> reserved -> sold, and can be removed at any point. New listings are created active, or pending-review when LISTING_REVIEW_REQUIRED=true; send status: draft with POST /:category to save one unpublished. Drafts and listings under review are only visible to their seller and admins. Active listings expire after LISTING_EXPIRY_DAYS (default 60) unless renewed. availability and isActive follow from the status and can no longer be set directly',
+          statuses: 'draft | pending-review | active | reserved | sold | expired | removed',
+          transitions: 'draft -> pending-review, active, removed; pending-review -> active (admin), draft, removed; active -> reserved, sold, expired (automatic), removed; reserved -> active, sold, removed; sold -> removed; expired -> active (renew), removed',
+          changeStatus: {
+            method: 'PATCH',
+            path: '/:category/:id/status',
+            description: 'Move the listing to another status (owner or admin); 400 with the reason if the change is not allowed, e.g. sold -> draft. An admin approving (-> active) or rejecting (-> draft) a listing under review notifies the seller. 409 while the listing is reserved for an accepted offer: mark it sold, or cancel the deal with PATCH /offers/:id/cancel',
+            body: {
+              status: 'string (required)',
+              reason: 'string (optional, max 500 characters; e.g. why a listing was sent back)'
+            }
+          },
+          renew: {
+            method: 'POST',
+            path: '/:category/:id/renew',
+            description: 'Keep the listing up for another LISTING_EXPIRY_DAYS (owner or admin): brings back an expired listing, or extends an active one in its last 7 days'
+          },
+          statusHistory: {
+            method: 'GET',
+            path: '/:category/:id/status-history',
+            description: 'status, statusChangedAt, publishedAt, expiresAt and history: [{ from, to, by (seller|buyer|admin|system), reason, at }], oldest first; renewals are recorded as active -> active (owner or admin)'
+          },
+          reviewQueue: {
+            method: 'GET',
+            path: '/:category/review/queue',
+            description: 'Listings waiting for review, longest waiting first (admin only)',
+            query: {
+              page: 'number (default: 1)',
+              limit: 'number (default: 20, max: 50)'
+            }
+          },
+          sold: 'PATCH /:category/:id/sold (shortcut for status sold)',
+          remove: 'DELETE /:category/:id (shortcut for status removed; 409 while reserved for an accepted offer)'
+        },
+        photos: {
+          description: 'Manage a listing\'s photos on its category endpoint, e.g. /bikes/:id/images (requires auth & ownership). List endpoints return only coverImage and imageCount; GET /:id returns the full images array',
+          add: 'POST /:category/:id/images (multipart/form-data, field "images"; up to 20 photos per listing)',
+          reorder: 'PATCH /:category/:id/images/order { order: [imageId, ...] } (every photo exactly once)',
+          update: 'PATCH /:category/:id/images/:imageId { caption, isCover: true }',
+          remove: 'DELETE /:category/:id/images/:imageId'
+        },
+        cars: {
+          method: 'GET',
+          path: '/cars',
+          description: 'List car listings; /cars supports the same routes as /bikes (type/:type, price-range, stats/overview) with type matched against fuelType',
+          query: {
+            type: 'string (Petrol|Diesel|CNG|Electric|Hybrid)',
+            transmission: 'string (Manual|Automatic)',
+            bodyType: 'string (Hatchback|Sedan|SUV|MUV|Coupe|Convertible|Pickup|Van)'
+          }
+        }
+      },
+      
+      // Search endpoints
+      search: {
+        suggest: {
+          method: 'GET',
+          path: '/search/suggest',
+          description: 'Type-ahead suggestions of brands, brand + model names and cities from active listings, most viewed first. Every word of q must start a word of the suggestion',
+          query: {
+            q: 'string (required)',
+            limit: 'number (default: 8, max: 20)'
+          },
+          response: {
+            message: 'string',
+            data: {
+              query: 'string',
+              suggestions: 'array of { type (brand|model|city), value, count, label } e.g. label "Royal Enfield Classic 350 (42)"'
+            }
+          }
+        }
+      },
+
+      // Saved search endpoints (all require auth)
+      savedSearches: {
+        list: {
+          method: 'GET',
+          path: '/saved-searches',
+          description: 'The caller\'s saved searches',
+          headers: {
+            Authorization: 'Bearer {token}'
+          }
         },
         create: {
           method: 'POST',
-          path: '/vehicles',
-          description: 'Create new vehicle listing (requires auth)',
+          path: '/saved-searches',
+          description: 'Save a search and get alerts (in-app and email) when a new or price-dropped listing matches it. At most 20 per user',
           headers: {
             Authorization: 'Bearer {token}'
+          },
+          body: {
+            name: 'string (required)',
+            category: 'string (bike|scooter|car, required)',
+            filters: '{ type, condition, brand, minPrice, maxPrice, minYear, maxYear, city, search, transmission, bodyType } (same meaning as the list query parameters)',
+            frequency: 'string (instant|daily, default: instant)'
           }
         },
+        getOne: {
+          method: 'GET',
+          path: '/saved-searches/:id'
+        },
         update: {
           method: 'PUT',
-          path: '/vehicles/:id',
-          description: 'Update vehicle listing (requires auth & ownership)'
+          path: '/saved-searches/:id',
+          description: 'Edit name, category, filters or frequency'
+        },
+        pause: {
+          method: 'PATCH',
+          path: '/saved-searches/:id/pause'
+        },
+        resume: {
+          method: 'PATCH',
+          path: '/saved-searches/:id/resume'
         },
         delete: {
           method: 'DELETE',
-          path: '/vehicles/:id',
-          description: 'Delete vehicle listing (requires auth & ownership)'
+          path: '/saved-searches/:id'
         }
       },
-      
+
+      // Favourite endpoints (all require auth)
+      favourites: {
+        list: {
+          method: 'GET',
+          path: '/favourites',
+          description: 'The caller\'s favourites with current price, priceChange since favouriting and status (available|reserved|sold|expired|removed|deleted)',
+          headers: {
+            Authorization: 'Bearer {token}'
+          },
+          query: {
+            page: 'number (default: 1)',
+            limit: 'number (default: 20, max: 50)'
+          }
+        },
+        add: {
+          method: 'POST',
+          path: '/:category/:id/favourite',
+          description: 'Favourite a listing, e.g. POST /bikes/:id/favourite'
+        },
+        remove: {
+          method: 'DELETE',
+          path: '/:category/:id/favourite',
+          description: 'Remove a listing from favourites'
+        }
+      },
+
+      // Valuation endpoints
+      valuation: {
+        estimate: {
+          method: 'POST',
+          path: '/valuation',
+          description: 'Estimate the market price of a used vehicle from comparable active and sold listings (same brand and type, model year within 2 years), adjusted for age and condition. With fewer than 3 comparables the estimate falls back to depreciation from originalPrice (or the typical new price of the model)',
+          body: {
+            category: 'string (bike|scooter|car, required)',
+            brand: 'string (required)',
+            model: 'string',
+            year: 'number (required)',
+            condition: 'string (Excellent|Good|Fair|Poor, default: Good)',
+            daysUsed: 'number',
+            mileage: 'number',
+            type: 'string (type for two-wheelers, fuelType for cars)',
+            city: 'string',
+            originalPrice: 'number (price when new)',
+            askingPrice: 'number (optional: adds position to the response)'
+          },
+          response: {
+            message: 'string',
+            data: {
+              vehicle: 'object (the normalised input)',
+              valuation: '{ estimate, low, high, confidence (low|medium|high), method (comparables|blended|depreciation), comparableCount, comparables: [{ _id, name, brand, model, year, condition, daysUsed, city, availability, price, adjustedPrice }], position (below|at|above) }'
+            }
+          }
+        }
+      },
+
+      // Offer endpoints (all require auth)
+      offers: {
+        description: 'A buyer offers an amount on a listing; the seller accepts, rejects or counters, and the buyer can answer a counter the same way. An open offer expires after OFFER_EXPIRY_HOURS (default 48) without a response; every counter restarts the clock. Accepting reserves the listing; only one offer per listing can be accepted',
+        statuses: 'pending (waiting for the seller) | countered (waiting for the buyer) | accepted | rejected | withdrawn | expired | cancelled',
+        create: {
+          method: 'POST',
+          path: '/:category/:id/offers',
+          description: 'Make an offer, e.g. POST /bikes/:id/offers (one open offer per buyer and listing)',
+          body: {
+            amount: 'number (required)',
+            message: 'string (optional, max 500 characters)'
+          }
+        },
+        listingOffers: {
+          method: 'GET',
+          path: '/:category/:id/offers',
+          description: 'Offers on one of the caller\'s listings (owner only)',
+          query: {
+            status: 'string (open|pending|countered|accepted|...)'
+          }
+        },
+        list: {
+          method: 'GET',
+          path: '/offers',
+          description: 'The caller\'s offer history as buyer and seller, most recently updated first',
+          query: {
+            role: 'string (buyer|seller)',
+            status: 'string (open|pending|countered|accepted|...)',
+            page: 'number (default: 1)',
+            limit: 'number (default: 20, max: 50)'
+          }
+        },
+        get: {
+          method: 'GET',
+          path: '/offers/:id',
+          description: 'One offer with its history of { action, by, amount, message, at } steps (buyer, seller or admin)'
+        },
+        counter: {
+          method: 'PATCH',
+          path: '/offers/:id/counter',
+          description: 'Answer with a different amount (the side the offer is waiting for)',
+          body: {
+            amount: 'number (required)',
+            message: 'string (optional)'
+          }
+        },
+        accept: {
+          method: 'PATCH',
+          path: '/offers/:id/accept',
+          description: 'Accept the amount on the table and reserve the listing (the side the offer is waiting for); 409 if the listing is no longer available'
+        },
+        reject: {
+          method: 'PATCH',
+          path: '/offers/:id/reject',
+          description: 'Turn the offer down (the side the offer is waiting for)'
+        },
+        withdraw: {
+          method: 'PATCH',
+          path: '/offers/:id/withdraw',
+          description: 'Take back an open offer (buyer only)'
+        },
+        cancel: {
+          method: 'PATCH',
+          path: '/offers/:id/cancel',
+          description: 'Call off an accepted deal; the listing becomes available again (buyer or seller). 409 once the listing is no longer reserved for the deal, e.g. after it was marked sold'
+        }
+      },
+
+      // Conversation endpoints (all require auth)
+      conversations: {
+        description: 'Message threads between a buyer and the seller of one listing. Phone numbers and emails in the other side\'s messages are shown as [phone hidden]/[email hidden] until both sides opt in to sharing contact details',
+        start: {
+          method: 'POST',
+          path: '/:category/:id/conversations',
+          description: 'Message the seller, e.g. POST /bikes/:id/conversations; continues the caller\'s existing conversation about the listing',
+          body: {
+            text: 'string (required, max 2000 characters)'
+          }
+        },
+        list: {
+          method: 'GET',
+          path: '/conversations',
+          description: 'The caller\'s conversations, latest message first, each with its unreadCount, plus the total unreadCount',
+          query: {
+            listing: 'ObjectId (optional)',
+            page: 'number (default: 1)',
+            limit: 'number (default: 20, max: 50)'
+          }
+        },
+        unreadCount: {
+          method: 'GET',
+          path: '/conversations/unread-count'
+        },
+        get: {
+          method: 'GET',
+          path: '/conversations/:id',
+          description: 'One conversation; includes contactDetails { name, phone, email } of the other side once both opted in'
+        },
+        messages: {
+          method: 'GET',
+          path: '/conversations/:id/messages',
+          description: 'Messages newest first; readAt is the read receipt (null while unread)',
+          query: {
+            page: 'number (default: 1, the latest messages)',
+            limit: 'number (default: 30, max: 100)'
+          }
+        },
+        send: {
+          method: 'POST',
+          path: '/conversations/:id/messages',
+          body: {
+            text: 'string (required, max 2000 characters)'
+          }
+        },
+        read: {
+          method: 'PATCH',
+          path: '/conversations/:id/read',
+          description: 'Mark the other side\'s messages as read'
+        },
+        contactSharing: {
+          method: 'PATCH',
+          path: '/conversations/:id/contact-sharing',
+          body: {
+            share: 'boolean (required)'
+          }
+        },
+        block: {
+          method: 'PATCH',
+          path: '/conversations/:id/block',
+          description: 'Stop all messages in the conversation until the caller unblocks it (PATCH /conversations/:id/unblock)'
+        },
+        report: {
+          method: 'POST',
+          path: '/conversations/:id/report',
+          body: {
+            reason: 'string (spam|scam|abuse|other, required)',
+            details: 'string (optional, max 1000 characters)',
+            block: 'boolean (optional: also block the conversation)'
+          }
+        },
+        reported: {
+          method: 'GET',
+          path: '/conversations/reported',
+          description: 'Reported conversations with their reports (admin only); admins can read their messages unmasked'
+        }
+      },
+
+      // Appointment endpoints (all require auth)
+      appointments: {
+        description: 'Viewings and test rides. Sellers offer time slots per listing; a buyer books a free slot, the seller confirms it, and either side can cancel, which frees the slot. Both sides are reminded a day and an hour before a confirmed appointment',
+        statuses: 'pending (waiting for the seller) | confirmed | cancelled | completed | no-show',
+        slots: {
+          method: 'GET',
+          path: '/:category/:id/slots',
+          description: 'Upcoming slots of a listing, soonest first, each with isBooked (no auth needed)'
+        },
+        addSlots: {
+          method: 'POST',
+          path: '/:category/:id/slots',
+          description: 'Offer slots, e.g. POST /bikes/:id/slots (owner only). Slots last 15 minutes to 4 hours, start within 60 days, and may not overlap the seller\'s other slots on any listing (409); at most 50 upcoming per listing',
+          body: {
+            slots: 'array of { startsAt, endsAt } (max 20), or a single startsAt and endsAt'
+          }
+        },
+        removeSlot: {
+          method: 'DELETE',
+          path: '/:category/:id/slots/:slotId',
+          description: 'Withdraw a slot nobody has booked (owner only)'
+        },
+        book: {
+          method: 'POST',
+          path: '/appointments',
+          description: 'Book a free slot; 409 if it was just taken or the caller has another appointment at that time',
+          body: {
+            slotId: 'ObjectId (required)',
+            type: 'string (test-ride|inspection, default: test-ride)',
+            note: 'string (optional, max 500 characters)'
+          }
+        },
+        list: {
+          method: 'GET',
+          path: '/appointments',
+          description: 'The caller\'s appointments as buyer and seller, latest first, or soonest first with upcoming=true',
+          query: {
+            role: 'string (buyer|seller)',
+            status: 'string (active|pending|confirmed|...)',
+            upcoming: 'boolean (only those not over yet)',
+            page: 'number (default: 1)',
+            limit: 'number (default: 20, max: 50)'
+          }
+        },
+        get: {
+          method: 'GET',
+          path: '/appointments/:id',
+          description: 'One appointment (buyer, seller or admin)'
+        },
+        confirm: {
+          method: 'PATCH',
+          path: '/appointments/:id/confirm',
+          description: 'Confirm a pending appointment (seller only)'
+        },
+        cancel: {
+          method: 'PATCH',
+          path: '/appointments/:id/cancel',
+          description: 'Cancel and free the slot (buyer or seller)',
+          body: {
+            reason: 'string (optional, max 500 characters)'
+          }
+        },
+        reschedule: {
+          method: 'PATCH',
+          path: '/appointments/:id/reschedule',
+          description: 'Move to another free slot of the same listing; the seller confirms again (buyer only)',
+          body: {
+            slotId: 'ObjectId (required)'
+          }
+        },
+        noShow: {
+          method: 'PATCH',
+          path: '/appointments/:id/no-show',
+          description: 'Flag that the other side did not turn up, once the appointment has started; sets noShow to buyer|seller'
+        },
+        complete: {
+          method: 'PATCH',
+          path: '/appointments/:id/complete',
+          description: 'Record that the appointment took place, once it has started'
+        }
+      },
+
+      // Realtime endpoint (requires auth)
+      realtime: {
+        stream: {
+          method: 'GET',
+          path: '/realtime/events',
+          description: 'Server-Sent Events stream. Send the access token as Authorization: Bearer {token}, or as ?access_token= for EventSource. The caller\'s offer, conversation, appointment and service request events are always included; reconnect with new listings to change the listings followed. The stream ends when the access token expires or its session is revoked; reconnect with a fresh token. Set REALTIME_BROKER or plug in a broker (utils/realtime.js setBroker) to fan events out across several instances',
+          query: {
+            listings: 'string (optional, comma-separated <category>:<id>, e.g. bike:64b7...,car:64c1...; max 50; 404 for a listing that does not exist, or is a draft or listing under review and the caller is neither its seller nor an admin)',
+            access_token: 'string (optional, instead of the Authorization header)'
+          },
+          events: {
+            ready: '{ listings } (sent once connected)',
+            'listing:price-changed': '{ category, listingId, price, previousPrice, sentAt }',
+            'listing:status-changed': '{ category, listingId, status, previousStatus, availability, isActive, previousAvailability, previousIsActive, sentAt } (published, reserved, sold, expired, removed, ...)',
+            'offer:updated': '{ offerId, action (offer|counter|accept|reject|withdraw|expire|cancel), by, status, amount, expiresAt, category, listingId, sentAt }',
+            'conversation:message': '{ conversationId, message (masked as in GET /conversations/:id/messages), unreadCount, sentAt }',
+            'conversation:read': '{ conversationId, readBy (buyer|seller), readAt, sentAt } (read receipt for the sender)',
+            'appointment:updated': '{ appointmentId, action (book|confirm|reschedule|cancel|no-show|complete), by, status, type, startsAt, endsAt, category, listingId, sentAt }',
+            'service-request:status-changed': '{ requestId, serviceType, status, previousStatus, sentAt }',
+            end: '{ reason (token-expired|session-revoked) } (sent just before the server closes the stream)'
+          }
+        }
+      },
+
+      // Notification endpoints (all require auth)
+      notifications: {
+        list: {
+          method: 'GET',
+          path: '/notifications',
+          description: 'The caller\'s notifications, newest first, with unreadCount',
+          query: {
+            page: 'number (default: 1)',
+            limit: 'number (default: 20, max: 50)',
+            unread: 'boolean (only unread notifications)'
+          }
+        },
+        markRead: {
+          method: 'PATCH',
+          path: '/notifications/:id/read'
+        },
+        markAllRead: {
+          method: 'PATCH',
+          path: '/notifications/read-all'
+        }
+      },
+
+      // Upload endpoints
+      uploads: {
+        images: {
+          method: 'POST',
+          path: '/uploads/images',
+          description: 'Upload listing photos as multipart/form-data (field "images", up to 10 JPEG/PNG/WebP/GIF files of at most 5MB each). Metadata such as EXIF/GPS is removed and large, medium and thumbnail renditions are stored. Put the returned records in a listing\'s images array (requires auth)',
+          headers: {
+            Authorization: 'Bearer {token}',
+            'Content-Type': 'multipart/form-data'
+          },
+          response: {
+            message: 'string',
+            data: {
+              images: 'array of { url, mediumUrl, thumbnailUrl, storageKey, width, height }'
+            }
+          }
+        }
+      },
+
+      // User endpoints
+      users: {
+        myListings: {
+          method: 'GET',
+          path: '/users/me/listings',
+          description: 'All vehicles listed by the caller, grouped by category (bikes, scooters, cars), with their status (draft|pending-review|active|reserved|sold|expired|removed) and a summary count per status (requires auth)',
+          headers: {
+            Authorization: 'Bearer {token}'
+          }
+        }
+      },
+
       // Service endpoints
       services: {
         createRequest: {
@@ -142,6 +790,21 @@ router.get('/', (req, res) => {
             Authorization: 'Bearer {token}'
           }
         },
+        updateStatus: {
+          method: 'PATCH',
+          path: '/services/request/:id/status',
+          description: 'Update service request status (requires admin role)',
+          headers: {
+            Authorization: 'Bearer {token}'
+          },
+          body: {
+            status: 'string (pending|in-progress|completed|cancelled)',
+            assignedTo: 'string (optional)',
+            estimatedCost: 'number (optional)',
+            actualCost: 'number (optional)',
+            note: 'string (optional)'
+          }
+        },
         getTypes: {
           method: 'GET',
           path: '/services/types',
@@ -236,6 +899,20 @@ router.get('/', (req, res) => {
           message: 'Resource not found'
         }
       },
+      423: {
+        description: 'Locked',
+        example: {
+          message: 'Account temporarily locked after too many failed login attempts',
+          retryAfter: 900
+        }
+      },
+      429: {
+        description: 'Too Many Requests',
+        example: {
+          message: 'Too many failed login attempts. Please wait before trying again.',
+          retryAfter: 4
+        }
+      },
       500: {
         description: 'Internal Server Error',
         example: {
@@ -250,8 +927,16 @@ router.get('/', (req, res) => {
         _id: 'ObjectId',
         name: 'string',
         email: 'string',
+        role: 'string (buyer|seller|dealer|admin)',
+        emailVerified: 'boolean',
+        pendingEmail: 'string (optional)',
         phone: 'string (optional)',
+        phoneVerified: 'boolean',
         gender: 'string (optional)',
+        location: '{ city, state }',
+        avatar: 'string (optional)',
+        preferredLanguage: 'string',
+        notificationPreferences: '{ email, sms, push, marketing }',
         createdAt: 'Date',
         updatedAt: 'Date'
       },
@@ -267,9 +952,29 @@ router.get('/', (req, res) => {
         fuelType: 'string',
         transmission: 'string',
         engineCapacity: 'number',
+        bodyType: 'string (cars)',
+        seatingCapacity: 'number (cars)',
+        ownerCount: 'number (cars)',
+        rcValidUntil: 'Date (cars, optional)',
+        insuranceValidUntil: 'Date (cars, optional)',
         mileage: 'number',
-        images: 'array of strings',
+        images: 'array of { _id, url, mediumUrl, thumbnailUrl, storageKey, width, height, caption, isCover } (max 20). On create/update, records with a storageKey must come from the seller\'s /uploads/images uploads and their URLs are rebuilt from the key; other entries must be http(s) URLs (a URL string is accepted as { url }). Stored photos dropped by an update are deleted',
+        coverImage: 'string (list results only: thumbnail URL of the cover photo)',
+        presentPrice: 'number (asking price)',
+        originalPrice: 'number (price when new; alias of pastPrice, which is still accepted)',
+        previousPrice: 'number | null (asking price before the last change)',
+        priceDroppedAt: 'Date | null (when the asking price last went down; cleared when it goes up)',
+        marketPrice: '{ estimate, low, high, position (below|at|above), confidence, updatedAt } | null (asking price against the market estimate; refreshed when the price changes and daily)',
+        status: 'string (draft|pending-review|active|reserved|sold|expired|removed)',
+        statusChangedAt: 'Date',
+        publishedAt: 'Date (first time the listing went active)',
+        expiresAt: 'Date (when an active listing expires unless renewed)',
+        availability: 'string (available|reserved|sold; follows from status)',
+        isActive: 'boolean (visible to buyers; follows from status)',
+        viewCount: 'number',
+        favouriteCount: 'number',
         description: 'string',
+        category: 'string (bike|scooter|car)',
         seller: 'ObjectId (User)',
         createdAt: 'Date',
         updatedAt: 'Date'
@@ -0,0 +1,219 @@
+// backend/routes/appointmentRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const Appointment = require('../models/Appointment');
+const AvailabilitySlot = require('../models/AvailabilitySlot');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  bookSlot,
+  confirmAppointment,
+  cancelAppointment,
+  rescheduleAppointment,
+  markNoShow,
+  completeAppointment
+} = require('../utils/appointments');
+
+const MAX_TEXT_LENGTH = 500;
+
+// Load the appointment in :id for one of its two sides as req.appointment,
+// with the caller's side in req.appointmentRole. Admins may view but not act.
+const loadAppointment = ({ allowAdmin = false } = {}) => async (req, res, next) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    const role = appointment.roleOf(req.user._id);
+    if (!role && !(allowAdmin && req.user.role === 'admin')) {
+      return res.status(403).json({ message: 'Not authorized to access this appointment' });
+    }
+
+    req.appointment = appointment;
+    req.appointmentRole = role;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid appointment ID format' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Optional free text sent along with a step; returns an error message or null
+const validateText = (value, label) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+    return `${label} must be text of at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Run a step and answer with the updated appointment
+const respond = (step, successMessage) => async (req, res) => {
+  try {
+    const appointment = await step(req.appointment, req.appointmentRole, req.body || {});
+
+    res.json({
+      message: successMessage,
+      data: { appointment }
+    });
+  } catch (error) {
+    if (error.name === 'AppointmentError') {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid slot ID format' });
+    }
+    console.error('Error updating appointment:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// POST /api/appointments - Book a slot { slotId, type, note } (requires auth)
+router.post('/', authenticateToken, async (req, res) => {
+  const { slotId, type, note } = req.body || {};
+
+  if (!slotId) {
+    return res.status(400).json({ message: 'slotId is required' });
+  }
+
+  const noteError = validateText(note, 'Note');
+  if (noteError) {
+    return res.status(400).json({ message: noteError });
+  }
+
+  try {
+    const slot = await AvailabilitySlot.findById(slotId);
+    if (!slot) {
+      return res.status(404).json({ message: 'Slot not found' });
+    }
+
+    const appointment = await bookSlot(slot, req.user._id, { type, note });
+
+    res.status(201).json({
+      message: 'Appointment booked; waiting for the seller to confirm',
+      data: { appointment }
+    });
+  } catch (error) {
+    if (error.name === 'AppointmentError') {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid slot ID format' });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+    console.error('Error booking appointment:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/appointments - The caller's appointments as buyer and seller;
+// ?role=buyer|seller, ?status=active|<status>, ?upcoming=true for those not
+// yet over, soonest first (requires auth)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const { role, status, upcoming } = req.query;
+
+    let filter;
+    if (role === 'buyer' || role === 'seller') {
+      filter = { [role]: req.user._id };
+    } else {
+      filter = { $or: [{ buyer: req.user._id }, { seller: req.user._id }] };
+    }
+
+    if (status === 'active') {
+      filter.status = { $in: Appointment.ACTIVE_STATUSES };
+    } else if (status) {
+      filter.status = status;
+    }
+
+    const isUpcoming = upcoming === 'true';
+    if (isUpcoming) {
+      filter.endsAt = { $gt: new Date() };
+    }
+
+    const [appointments, totalCount] = await Promise.all([
+      Appointment.find(filter)
+        .sort({ startsAt: isUpcoming ? 1 : -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('buyer', 'name')
+        .populate('seller', 'name'),
+      Appointment.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      message: 'Appointments retrieved successfully',
+      data: {
+        appointments,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/appointments/:id - One appointment (buyer, seller or admin)
+router.get('/:id', authenticateToken, loadAppointment({ allowAdmin: true }), async (req, res) => {
+  try {
+    await req.appointment.populate([
+      { path: 'buyer', select: 'name' },
+      { path: 'seller', select: 'name' }
+    ]);
+
+    res.json({
+      message: 'Appointment retrieved successfully',
+      data: { appointment: req.appointment }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/appointments/:id/confirm - Accept a pending booking (seller only)
+router.patch('/:id/confirm', authenticateToken, loadAppointment(), respond(confirmAppointment, 'Appointment confirmed'));
+
+// PATCH /api/appointments/:id/cancel - Call off the appointment { reason } and
+// free its slot (buyer or seller)
+router.patch('/:id/cancel', authenticateToken, loadAppointment(), (req, res, next) => {
+  const reasonError = validateText(req.body?.reason, 'Reason');
+  if (reasonError) {
+    return res.status(400).json({ message: reasonError });
+  }
+  next();
+}, respond(cancelAppointment, 'Appointment cancelled'));
+
+// PATCH /api/appointments/:id/reschedule - Move to another free slot of the
+// same listing { slotId }; the seller confirms again (buyer only)
+router.patch('/:id/reschedule', authenticateToken, loadAppointment(), (req, res, next) => {
+  if (!req.body?.slotId) {
+    return res.status(400).json({ message: 'slotId is required' });
+  }
+  next();
+}, respond(rescheduleAppointment, 'Appointment rescheduled; waiting for the seller to confirm'));
+
+// PATCH /api/appointments/:id/no-show - Flag that the other side did not turn
+// up, once the appointment has started (buyer or seller)
+router.patch('/:id/no-show', authenticateToken, loadAppointment(), respond(markNoShow, 'Appointment marked as a no-show'));
+
+// PATCH /api/appointments/:id/complete - Record that the appointment took
+// place, once it has started (buyer or seller)
+router.patch('/:id/complete', authenticateToken, loadAppointment(), respond(completeAppointment, 'Appointment completed'));
+
+module.exports = router;
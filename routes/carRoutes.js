@@ -0,0 +1,16 @@
+const Car = require('../models/Car');
+const createListingRouter = require('./listingRouter');
+
+const router = createListingRouter({
+  Model: Car,
+  singular: 'car',
+  plural: 'cars',
+  types: Car.schema.path('fuelType').enumValues,
+  filters: {
+    transmission: Car.schema.path('transmission').enumValues,
+    bodyType: Car.schema.path('bodyType').enumValues
+  },
+  priceBuckets: [0, 200000, 400000, 600000, 800000, 1000000, 1500000, 2000000, 3000000, 5000000]
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,7 +1,11 @@
 const express = require('express');
 const Contact = require('../models/Contact');
+const { authenticateToken, requireRole } = require('../middleware/auth');
 const router = express.Router();
 
+// Managing contact messages is restricted to admins; submitting one is public
+const adminOnly = [authenticateToken, requireRole('admin')];
+
 // Helper function for building query filters
 const buildQuery = (queryParams) => {
   const query = {};
@@ -50,8 +54,8 @@ const buildQuery = (queryParams) => {
   return query;
 };
 
-// GET /api/contacts - Get all contacts with filtering and pagination
-router.get('/', async (req, res) => {
+// GET /api/contacts - Get all contacts with filtering and pagination (admin only)
+router.get('/', adminOnly, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -102,8 +106,8 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/contacts/stats - Get contact statistics
-router.get('/stats', async (req, res) => {
+// GET /api/contacts/stats - Get contact statistics (admin only)
+router.get('/stats', adminOnly, async (req, res) => {
   try {
     const stats = await Contact.getStatistics();
     const categoryStats = await Contact.getCategoryStats();
@@ -138,8 +142,8 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// GET /api/contacts/:id - Get single contact by ID
-router.get('/:id', async (req, res) => {
+// GET /api/contacts/:id - Get single contact by ID (admin only)
+router.get('/:id', adminOnly, async (req, res) => {
   try {
     const contact = await Contact.findById(req.params.id);
     
@@ -210,7 +214,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/contacts/:id - Update contact (admin only)
-router.put('/:id', async (req, res) => {
+router.put('/:id', adminOnly, async (req, res) => {
   try {
     const contact = await Contact.findByIdAndUpdate(
       req.params.id,
@@ -254,8 +258,8 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// PATCH /api/contacts/:id/status - Update contact status
-router.patch('/:id/status', async (req, res) => {
+// PATCH /api/contacts/:id/status - Update contact status (admin only)
+router.patch('/:id/status', adminOnly, async (req, res) => {
   try {
     const { status, responseMessage, respondedBy } = req.body;
     
@@ -305,8 +309,8 @@ router.patch('/:id/status', async (req, res) => {
   }
 });
 
-// PATCH /api/contacts/:id/tags - Add/Remove tags
-router.patch('/:id/tags', async (req, res) => {
+// PATCH /api/contacts/:id/tags - Add/Remove tags (admin only)
+router.patch('/:id/tags', adminOnly, async (req, res) => {
   try {
     const { action, tag } = req.body; // action: 'add' or 'remove'
     
@@ -358,7 +362,7 @@ router.patch('/:id/tags', async (req, res) => {
 });
 
 // DELETE /api/contacts/:id - Delete contact (admin only)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', adminOnly, async (req, res) => {
   try {
     const contact = await Contact.findByIdAndDelete(req.params.id);
     
@@ -390,8 +394,8 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// GET /api/contacts/category/:category - Get contacts by category
-router.get('/category/:category', async (req, res) => {
+// GET /api/contacts/category/:category - Get contacts by category (admin only)
+router.get('/category/:category', adminOnly, async (req, res) => {
   try {
     const { category } = req.params;
     const page = parseInt(req.query.page) || 1;
@@ -428,8 +432,8 @@ router.get('/category/:category', async (req, res) => {
   }
 });
 
-// GET /api/contacts/priority/:priority - Get contacts by priority
-router.get('/priority/:priority', async (req, res) => {
+// GET /api/contacts/priority/:priority - Get contacts by priority (admin only)
+router.get('/priority/:priority', adminOnly, async (req, res) => {
   try {
     const { priority } = req.params;
     const page = parseInt(req.query.page) || 1;
@@ -0,0 +1,322 @@
+// backend/routes/conversationRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  otherSide,
+  presentMessage,
+  postMessage,
+  markConversationRead
+} = require('../utils/messaging');
+
+// Load the conversation in :id for one of its two sides as req.conversation,
+// with the caller's side in req.conversationRole. Admins may read reported
+// conversations but not take part.
+const loadConversation = ({ allowAdmin = false } = {}) => async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id)
+      .populate('buyer', 'name')
+      .populate('seller', 'name');
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const role = conversation.roleOf(req.user._id);
+    if (!role && !(allowAdmin && req.user.role === 'admin')) {
+      return res.status(403).json({ message: 'Not authorized to access this conversation' });
+    }
+
+    req.conversation = conversation;
+    req.conversationRole = role;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid conversation ID format' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const sendValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({ message: 'Validation error', errors });
+};
+
+// GET /api/conversations - The caller's conversations, latest message first,
+// with the total unread count; ?listing=<id> narrows to one listing (requires auth)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const filter = { $or: [{ buyer: req.user._id }, { seller: req.user._id }] };
+    if (req.query.listing) {
+      filter.listing = req.query.listing;
+    }
+
+    const [conversations, totalCount, unreadCount] = await Promise.all([
+      Conversation.find(filter)
+        .sort({ lastMessageAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('buyer', 'name')
+        .populate('seller', 'name'),
+      Conversation.countDocuments(filter),
+      Conversation.countUnread(req.user._id)
+    ]);
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      message: 'Conversations retrieved successfully',
+      data: {
+        conversations: conversations.map(conversation => conversation.toPublicJSON(req.user._id)),
+        unreadCount,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid listing ID format' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/conversations/unread-count - Unread messages across the caller's conversations
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await Conversation.countUnread(req.user._id);
+
+    res.json({
+      message: 'Unread count retrieved successfully',
+      data: { unreadCount }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/conversations/reported - Reported conversations, newest report first (admin only)
+router.get('/reported', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const filter = { isReported: true };
+    const [conversations, totalCount] = await Promise.all([
+      Conversation.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('buyer', 'name email')
+        .populate('seller', 'name email')
+        .populate('reports.by', 'name'),
+      Conversation.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      message: 'Reported conversations retrieved successfully',
+      data: {
+        conversations,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/conversations/:id - One conversation; once both sides opted in to
+// sharing contact details it includes the other side's phone and email
+router.get('/:id', authenticateToken, loadConversation({ allowAdmin: true }), async (req, res) => {
+  try {
+    const { conversation, conversationRole: role } = req;
+    const data = { conversation: conversation.toPublicJSON(req.user._id) };
+
+    if (role && conversation.contactsShared) {
+      const other = await User.findById(conversation[otherSide(role)]._id).select('name phone email');
+      data.contactDetails = other ? { name: other.name, phone: other.phone, email: other.email } : null;
+    }
+
+    res.json({
+      message: 'Conversation retrieved successfully',
+      data
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/conversations/:id/messages - Messages, newest first, with read
+// receipts (readAt); page 1 is the latest page
+router.get('/:id/messages', authenticateToken, loadConversation({ allowAdmin: true }), async (req, res) => {
+  try {
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), 100);
+
+    const filter = { conversation: req.conversation._id };
+    const [messages, totalCount] = await Promise.all([
+      Message.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Message.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    // Admins reviewing a report see messages as written
+    const contactsShared = !req.conversationRole || req.conversation.contactsShared;
+
+    res.json({
+      message: 'Messages retrieved successfully',
+      data: {
+        messages: messages.map(message => presentMessage(message, req.user._id, contactsShared)),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/conversations/:id/messages - Send a message { text } (buyer or seller)
+router.post('/:id/messages', authenticateToken, loadConversation(), async (req, res) => {
+  try {
+    const { conversation, message } = await postMessage(req.conversation, req.user._id, req.body?.text);
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      data: {
+        message: presentMessage(message, req.user._id, conversation.contactsShared)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.name === 'MessagingError') {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/conversations/:id/read - Mark the other side's messages as read (buyer or seller)
+router.patch('/:id/read', authenticateToken, loadConversation(), async (req, res) => {
+  try {
+    const updated = await markConversationRead(req.conversation, req.conversationRole);
+
+    res.json({
+      message: 'Conversation marked as read',
+      data: { updated }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/conversations/:id/contact-sharing - Opt in or out of showing
+// phone numbers and emails { share: true|false } (buyer or seller)
+router.patch('/:id/contact-sharing', authenticateToken, loadConversation(), async (req, res) => {
+  if (typeof req.body?.share !== 'boolean') {
+    return res.status(400).json({ message: 'share must be true or false' });
+  }
+
+  try {
+    const conversation = await Conversation.findByIdAndUpdate(
+      req.conversation._id,
+      { [`contactSharing.${req.conversationRole}`]: req.body.share },
+      { new: true }
+    );
+
+    res.json({
+      message: req.body.share ? 'Contact details will be shared once both sides agree' : 'Contact details are hidden',
+      data: {
+        contactSharing: conversation.contactSharing,
+        contactsShared: conversation.contactsShared
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/conversations/:id/block - Stop all messages in the conversation (buyer or seller)
+router.patch('/:id/block', authenticateToken, loadConversation(), async (req, res) => {
+  try {
+    await Conversation.updateOne(
+      { _id: req.conversation._id },
+      { $addToSet: { blockedBy: req.user._id } }
+    );
+
+    res.json({ message: 'Conversation blocked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/conversations/:id/unblock - Lift the caller's own block (buyer or seller)
+router.patch('/:id/unblock', authenticateToken, loadConversation(), async (req, res) => {
+  try {
+    await Conversation.updateOne(
+      { _id: req.conversation._id },
+      { $pull: { blockedBy: req.user._id } }
+    );
+
+    res.json({ message: 'Conversation unblocked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/conversations/:id/report - Report the conversation to the admins
+// { reason: spam|scam|abuse|other, details, block } (buyer or seller)
+router.post('/:id/report', authenticateToken, loadConversation(), async (req, res) => {
+  const { reason, details, block } = req.body || {};
+
+  try {
+    const conversation = req.conversation;
+    conversation.reports.push({ by: req.user._id, reason, details });
+    conversation.isReported = true;
+    if (block === true && !conversation.blockedBy.some(id => id.toString() === req.user._id.toString())) {
+      conversation.blockedBy.push(req.user._id);
+    }
+    await conversation.save();
+
+    res.status(201).json({
+      message: 'Conversation reported. Our team will review it',
+      data: { blocked: conversation.isBlocked }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
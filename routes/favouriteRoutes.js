@@ -0,0 +1,84 @@
+// backend/routes/favouriteRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const Favourite = require('../models/Favourite');
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const { authenticateToken } = require('../middleware/auth');
+const { withCoverImage } = require('../utils/images');
+
+const LISTING_FIELDS = 'name brand model year presentPrice status availability isActive images location';
+
+// Status of a favourited listing; expired = not renewed by the seller in
+// time, removed = taken down, deleted = no longer in the database
+const favouriteStatus = (listing) => {
+  if (!listing) return 'deleted';
+  if (listing.status === 'expired') return 'expired';
+  return listing.isActive ? listing.availability : 'removed';
+};
+
+// GET /api/favourites - The caller's favourites with current price and
+// availability, newest first (requires auth)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const filter = { user: req.user._id };
+    const [favourites, totalCount] = await Promise.all([
+      Favourite.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Favourite.countDocuments(filter)
+    ]);
+
+    // Load the listings of each category in one query
+    const listings = new Map();
+    for (const [category, Model] of Object.entries(VEHICLE_CATEGORIES)) {
+      const ids = favourites.filter(favourite => favourite.category === category).map(favourite => favourite.listing);
+      if (ids.length === 0) continue;
+
+      const found = await Model.find({ _id: { $in: ids } }).select(LISTING_FIELDS).lean();
+      found.forEach(listing => listings.set(listing._id.toString(), listing));
+    }
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      message: 'Favourites retrieved successfully',
+      data: {
+        favourites: favourites.map(favourite => {
+          const listing = listings.get(favourite.listing.toString());
+          const status = favouriteStatus(listing);
+
+          return {
+            _id: favourite._id,
+            category: favourite.category,
+            listingId: favourite.listing,
+            favouritedAt: favourite.createdAt,
+            priceAtSave: favourite.priceAtSave,
+            priceChange: listing && favourite.priceAtSave != null
+              ? listing.presentPrice - favourite.priceAtSave
+              : null,
+            status,
+            isAvailable: status === 'available',
+            listing: listing ? withCoverImage(listing) : null
+          };
+        }),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
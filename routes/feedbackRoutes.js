@@ -3,10 +3,10 @@
 const express = require('express');
 const router = express.Router();
 const Feedback = require('../models/Feedback');
-const { setMockUser } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
 
-// POST /api/feedback - Submit feedback (no auth required)
-router.post('/', setMockUser, async (req, res) => {
+// POST /api/feedback - Submit feedback (requires auth)
+router.post('/', authenticateToken, async (req, res) => {
   try {
     const feedback = new Feedback({
       ...req.body,
@@ -61,8 +61,8 @@ router.get('/meta/types', (req, res) => {
   });
 });
 
-// GET /api/feedback/my-feedback - Get user's feedback (no auth required)
-router.get('/my-feedback', setMockUser, async (req, res) => {
+// GET /api/feedback/my-feedback - Get user's feedback (requires auth)
+router.get('/my-feedback', authenticateToken, async (req, res) => {
   try {
     const { page = 1, limit = 10, status } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -96,8 +96,8 @@ router.get('/my-feedback', setMockUser, async (req, res) => {
   }
 });
 
-// GET /api/feedback/:id - Get specific feedback (no auth required)
-router.get('/:id', setMockUser, async (req, res) => {
+// GET /api/feedback/:id - Get specific feedback (requires auth)
+router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const feedback = await Feedback.findById(req.params.id)
       .populate('user', 'name email');
@@ -120,8 +120,8 @@ router.get('/:id', setMockUser, async (req, res) => {
   }
 });
 
-// PUT /api/feedback/:id - Update feedback (no auth required)
-router.put('/:id', setMockUser, async (req, res) => {
+// PUT /api/feedback/:id - Update feedback (requires auth)
+router.put('/:id', authenticateToken, async (req, res) => {
   try {
     const feedback = await Feedback.findById(req.params.id);
 
@@ -154,8 +154,8 @@ router.put('/:id', setMockUser, async (req, res) => {
   }
 });
 
-// DELETE /api/feedback/:id - Delete feedback (no auth required)
-router.delete('/:id', setMockUser, async (req, res) => {
+// DELETE /api/feedback/:id - Delete feedback (requires auth)
+router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const feedback = await Feedback.findById(req.params.id);
 
@@ -0,0 +1,1543 @@
+// backend/routes/listingRouter.js
+
+const express = require('express');
+const Favourite = require('../models/Favourite');
+const Offer = require('../models/Offer');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const AvailabilitySlot = require('../models/AvailabilitySlot');
+const { authenticateToken, optionalAuth, requireRole, checkOwnership } = require('../middleware/auth');
+const { receiveImages } = require('../middleware/upload');
+const { buildTextSearch } = require('../utils/search');
+const { buildListingSelections } = require('../utils/listingFilters');
+const { defineFacets, buildFacetStages, formatFacets } = require('../utils/facets');
+const { announceStep } = require('../utils/offers');
+const { presentMessage, postMessage } = require('../utils/messaging');
+const {
+  RENEWAL_WINDOW_DAYS,
+  UNPUBLISHED_STATUSES,
+  renewableFrom,
+  isSellerOf,
+  canView,
+  notifySeller
+} = require('../utils/listingStatus');
+const {
+  IMAGE_LIMITS,
+  storeListingImage,
+  deleteListingImage,
+  isOwnedListingImage,
+  prepareListingImages,
+  removedListingImages,
+  withCoverImage
+} = require('../utils/images');
+
+// Fields that are managed by the server and cannot be set from a request body
+const PROTECTED_FIELDS = [
+  'seller',
+  'viewCount',
+  'favouriteCount',
+  'rating',
+  'reviewCount',
+  'category',
+  'previousPrice',
+  'priceDroppedAt',
+  'priceHistory',
+  'marketPrice',
+  'status',
+  'statusHistory',
+  'statusChangedAt',
+  'publishedAt',
+  'expiresAt',
+  'availability',
+  'isActive',
+  // Checked separately with prepareListingImages
+  'images'
+];
+
+// Copy of a request body without the server-managed fields
+const withoutProtectedFields = (body) => {
+  const data = { ...body };
+  PROTECTED_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+// The buyer's pending or countered offer on a listing, if any
+const findOpenOffer = (listingId, buyerId) => Offer.findOne({
+  listing: listingId,
+  buyer: buyerId,
+  status: { $in: Offer.OPEN_STATUSES }
+}).select('_id');
+
+// The accepted offer a reserved listing is held for, if any
+const findAcceptedOffer = (listing) => Offer.findOne({
+  listing: listing._id,
+  status: 'accepted'
+}).select('_id buyer');
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// Who is acting on a listing that passed checkOwnership: its seller or an admin
+const actorOf = (req) => (isSellerOf(req.resource, req.user) ? 'seller' : 'admin');
+
+// Limits on the viewing / test ride slots a seller offers per listing
+const SLOT_LIMITS = {
+  perRequest: 20,
+  upcomingPerListing: 50,
+  minMinutes: 15,
+  maxMinutes: 4 * 60,
+  maxDaysAhead: 60
+};
+
+// Check { startsAt, endsAt } slot input; returns { slot } with Dates or { error }
+const parseSlot = (input, now) => {
+  const startsAt = new Date(input?.startsAt);
+  const endsAt = new Date(input?.endsAt);
+
+  if (isNaN(startsAt) || isNaN(endsAt)) {
+    return { error: 'Each slot needs valid startsAt and endsAt dates' };
+  }
+  if (startsAt <= now) {
+    return { error: 'Slots must start in the future' };
+  }
+  if (startsAt > new Date(now.getTime() + SLOT_LIMITS.maxDaysAhead * 24 * 60 * 60 * 1000)) {
+    return { error: `Slots can be offered at most ${SLOT_LIMITS.maxDaysAhead} days ahead` };
+  }
+
+  const minutes = (endsAt - startsAt) / (60 * 1000);
+  if (minutes < SLOT_LIMITS.minMinutes || minutes > SLOT_LIMITS.maxMinutes) {
+    return { error: `Slots must last between ${SLOT_LIMITS.minMinutes} minutes and ${SLOT_LIMITS.maxMinutes / 60} hours` };
+  }
+  return { slot: { startsAt, endsAt } };
+};
+
+// Lower bounds of the ?facets=true price ranges for two-wheelers
+const DEFAULT_PRICE_BUCKETS = [0, 25000, 50000, 75000, 100000, 150000, 200000, 300000, 500000];
+
+// Convert a sort string such as '-createdAt presentPrice' to a $sort stage
+const toSortStage = (sort) => {
+  if (typeof sort !== 'string') return sort;
+
+  const stage = {};
+  sort.split(/\s+/).filter(Boolean).forEach(field => {
+    if (field.startsWith('-')) {
+      stage[field.slice(1)] = -1;
+    } else {
+      stage[field] = 1;
+    }
+  });
+  return Object.keys(stage).length > 0 ? stage : { createdAt: -1 };
+};
+
+// "Petrol or Electric", or "one of: Petrol, Diesel, CNG" for longer lists
+const describeChoices = (values) => {
+  return values.length === 2 ? values.join(' or ') : `one of: ${values.join(', ')}`;
+};
+
+// Build the listing router shared by /api/bikes, /api/scooters, ...
+//   Model    - the category's listing model
+//   singular - lower-case name used in messages, e.g. 'bike'
+//   plural   - collection name used in messages and as the list key, e.g. 'bikes'
+//   types    - values accepted by ?type= and /type/:type, e.g. ['Petrol', 'Electric'];
+//              they are matched against Model.typeField
+//   filters  - extra exact-match query filters, e.g. { transmission: ['Manual', 'Automatic'] }
+//   priceBuckets - lower bounds of the price ranges counted by ?facets=true
+const createListingRouter = ({
+  Model,
+  singular,
+  plural,
+  types,
+  filters = {},
+  priceBuckets = DEFAULT_PRICE_BUCKETS
+}) => {
+  const router = express.Router();
+  const typeField = Model.typeField;
+  const facetDefinitions = defineFacets({
+    typeField,
+    extraFields: Object.keys(filters),
+    priceBuckets
+  });
+  const label = capitalize(singular);
+  const pluralLabel = capitalize(plural);
+
+  // Get all listings with filtering and pagination; ?facets=true adds facet
+  // counts computed in the same aggregation as the page of results
+  router.get('/', async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        sort,
+        type,
+        search,
+        facets,
+        recentlyReduced,
+        availability = 'available'
+      } = req.query;
+
+      // Build filter object
+      const filter = {
+        isActive: true,
+        availability: availability
+      };
+
+      // Only listings whose price was lowered recently
+      if (recentlyReduced === 'true') {
+        Object.assign(filter, Model.recentlyReducedFilter());
+      }
+
+      // Filters the buyer selected, keyed by facet; each facet's counts
+      // ignore its own selection
+      const selections = {};
+
+      // Add type filter
+      if (type && types.includes(type)) {
+        selections.type = { [typeField]: type };
+      }
+
+      // Add category-specific filters
+      Object.entries(filters).forEach(([field, values]) => {
+        if (req.query[field] && values.includes(req.query[field])) {
+          selections[field] = { [field]: req.query[field] };
+        }
+      });
+
+      // Add condition, brand, model, price, year and city filters
+      Object.assign(selections, buildListingSelections(req.query));
+
+      // Add full-text search filter
+      const textSearch = search ? await buildTextSearch([Model], search) : null;
+      if (textSearch) {
+        filter.$text = textSearch;
+      }
+
+      // Search results are ranked by relevance and recently reduced listings
+      // by the latest price drop, unless a sort is requested
+      let sortBy = sort || '-createdAt';
+      if (!sort && textSearch) {
+        sortBy = { score: { $meta: 'textScore' }, _id: -1 };
+      } else if (!sort && recentlyReduced === 'true') {
+        sortBy = '-priceDroppedAt';
+      }
+
+      // Calculate pagination
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const selectionFilter = Object.assign({}, ...Object.values(selections));
+      const fullFilter = { ...filter, ...selectionFilter };
+
+      let listings;
+      let totalCount;
+      let facetCounts;
+
+      if (facets === 'true') {
+        // $text can only be used in the first stage, so the selections are
+        // applied inside each facet
+        const [result] = await Model.aggregate([
+          { $match: filter },
+          ...(textSearch ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+          {
+            $facet: {
+              listings: [
+                { $match: selectionFilter },
+                { $sort: textSearch && !sort ? { score: -1, _id: -1 } : toSortStage(sortBy) },
+                { $skip: skip },
+                { $limit: limitNum },
+                Model.hiddenFieldsStage()
+              ],
+              total: [
+                { $match: selectionFilter },
+                { $count: 'count' }
+              ],
+              ...buildFacetStages(facetDefinitions, selections)
+            }
+          }
+        ]);
+
+        listings = result.listings;
+        totalCount = result.total[0]?.count || 0;
+        facetCounts = formatFacets(facetDefinitions, result);
+      } else {
+        // Execute query with pagination
+        listings = await Model.find(fullFilter)
+          .sort(sortBy)
+          .skip(skip)
+          .limit(limitNum)
+          .lean();
+
+        // Get total count for pagination
+        totalCount = await Model.countDocuments(fullFilter);
+      }
+
+      const totalPages = Math.ceil(totalCount / limitNum);
+
+      res.json({
+        message: `${pluralLabel} retrieved successfully`,
+        data: {
+          [plural]: listings.map(withCoverImage),
+          pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalCount,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1
+          },
+          ...(facetCounts && { facets: facetCounts })
+        }
+      });
+    } catch (error) {
+      console.error(`Error fetching ${plural}:`, error);
+      res.status(500).json({
+        message: `Error fetching ${plural}`,
+        error: error.message
+      });
+    }
+  });
+
+  // Get listing by ID; drafts and listings waiting for review are only
+  // shown to their seller and admins
+  router.get('/:id', optionalAuth, async (req, res) => {
+    try {
+      const listing = await Model.findById(req.params.id).populate('seller', 'name avatar');
+
+      if (!listing || !canView(listing, req.user)) {
+        return res.status(404).json({
+          message: `${label} not found`
+        });
+      }
+
+      // Only count views of published listings, not the seller checking a draft
+      if (!UNPUBLISHED_STATUSES.includes(listing.status)) {
+        await listing.incrementViewCount();
+      }
+
+      res.json({
+        message: `${label} retrieved successfully`,
+        data: listing
+      });
+    } catch (error) {
+      console.error(`Error fetching ${singular}:`, error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: `Invalid ${singular} ID format`
+        });
+      }
+
+      res.status(500).json({
+        message: `Error fetching ${singular}`,
+        error: error.message
+      });
+    }
+  });
+
+  // Create new listing (requires auth; the caller becomes the seller).
+  // { status: 'draft' } saves it unpublished; otherwise it goes active, or
+  // waits for review when LISTING_REVIEW_REQUIRED is on
+  router.post('/', authenticateToken, async (req, res) => {
+    if (req.body.status !== undefined && req.body.status !== 'draft') {
+      return res.status(400).json({
+        message: 'A new listing can only be given status draft'
+      });
+    }
+
+    try {
+      const listingData = {
+        ...withoutProtectedFields(req.body),
+        seller: req.user._id,
+        // Contact details default to the seller's account details
+        contactInfo: {
+          name: req.body.contactInfo?.name || req.body.sellerName || req.user.name,
+          phone: req.body.contactInfo?.phone || req.body.sellerPhone || req.user.phone,
+          email: req.body.contactInfo?.email || req.body.sellerEmail || req.user.email,
+          whatsapp: req.body.contactInfo?.whatsapp || req.body.whatsapp
+        }
+      };
+
+      if (req.body.images !== undefined) {
+        listingData.images = prepareListingImages(req.body.images, { sellerId: req.user._id });
+      }
+
+      const listing = new Model(listingData);
+      if (req.body.status === 'draft') {
+        listing.setStatus('draft');
+      } else {
+        listing.setStatus(Model.isReviewRequired() ? 'pending-review' : 'active');
+      }
+      const savedListing = await listing.save();
+
+      const messages = {
+        draft: `${label} saved as a draft`,
+        'pending-review': `${label} submitted for review`,
+        active: `${label} listed successfully`
+      };
+      res.status(201).json({
+        message: messages[savedListing.status],
+        data: savedListing
+      });
+    } catch (error) {
+      if (error.name === 'InvalidImageError') {
+        return res.status(400).json({ message: error.message });
+      }
+
+      console.error(`Error creating ${singular} listing:`, error);
+
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          message: 'Validation error',
+          errors: errors
+        });
+      }
+
+      res.status(500).json({
+        message: `Error creating ${singular} listing`,
+        error: error.message
+      });
+    }
+  });
+
+  // Update listing (owner or admin only)
+  router.put('/:id', authenticateToken, checkOwnership(Model, 'id', 'seller'), async (req, res) => {
+    try {
+      const listing = req.resource;
+      const previousImages = listing.images.map(image => image.toObject());
+
+      listing.set(withoutProtectedFields(req.body));
+      if (req.body.images !== undefined) {
+        listing.images = prepareListingImages(req.body.images, {
+          sellerId: listing.seller,
+          current: previousImages
+        });
+      }
+      const updatedListing = await listing.save();
+
+      // Remove the files of stored photos the update dropped
+      await Promise.all(removedListingImages(previousImages, updatedListing.images)
+        .filter(image => isOwnedListingImage(image, listing.seller))
+        .map(image => deleteListingImage(image.storageKey).catch(error => {
+          console.error(`Error deleting stored files for ${image.storageKey}:`, error);
+        })));
+
+      res.json({
+        message: `${label} updated successfully`,
+        data: updatedListing
+      });
+    } catch (error) {
+      if (error.name === 'InvalidImageError') {
+        return res.status(400).json({ message: error.message });
+      }
+
+      console.error(`Error updating ${singular}:`, error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: `Invalid ${singular} ID format`
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          message: 'Validation error',
+          errors: errors
+        });
+      }
+
+      res.status(500).json({
+        message: `Error updating ${singular}`,
+        error: error.message
+      });
+    }
+  });
+
+  // Delete listing (soft delete: status removed, owner or admin only)
+  router.delete('/:id', authenticateToken, checkOwnership(Model, 'id', 'seller'), async (req, res) => {
+    try {
+      const listing = req.resource;
+      if (listing.status === 'removed') {
+        return res.status(400).json({
+          message: `${label} listing is already deleted`
+        });
+      }
+
+      if (listing.status === 'reserved' && await findAcceptedOffer(listing)) {
+        return res.status(409).json({
+          message: `${label} is reserved for an accepted offer; cancel the deal before deleting it`
+        });
+      }
+
+      listing.setStatus('removed', { by: actorOf(req) });
+      await listing.save();
+
+      res.json({
+        message: `${label} listing deleted successfully`,
+        data: listing
+      });
+    } catch (error) {
+      console.error(`Error deleting ${singular}:`, error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: `Invalid ${singular} ID format`
+        });
+      }
+
+      res.status(500).json({
+        message: `Error deleting ${singular}`,
+        error: error.message
+      });
+    }
+  });
+
+  // Mark listing as sold (owner or admin only)
+  router.patch('/:id/sold', authenticateToken, checkOwnership(Model, 'id', 'seller'), async (req, res) => {
+    try {
+      const listing = req.resource;
+
+      await listing.markAsSold({ by: actorOf(req) });
+
+      res.json({
+        message: `${label} marked as sold successfully`,
+        data: listing
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          message: 'Validation error',
+          errors: errors
+        });
+      }
+
+      console.error(`Error marking ${singular} as sold:`, error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: `Invalid ${singular} ID format`
+        });
+      }
+
+      res.status(500).json({
+        message: `Error marking ${singular} as sold`,
+        error: error.message
+      });
+    }
+  });
+
+  // Move a listing through its lifecycle { status, reason } (owner or admin).
+  // Sellers submit drafts for review or publish them, and mark listings
+  // reserved, sold or removed; admins approve (pending-review -> active) or
+  // send listings back to draft. Listings expire on their own.
+  router.patch('/:id/status', authenticateToken, checkOwnership(Model, 'id', 'seller'), async (req, res) => {
+    const { status, reason } = req.body || {};
+
+    if (!Model.STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `Status must be ${describeChoices(Model.STATUSES)}`
+      });
+    }
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({
+        message: 'Reason must be text of at most 500 characters'
+      });
+    }
+
+    try {
+      const listing = req.resource;
+      const actor = actorOf(req);
+      const previousStatus = listing.status;
+
+      if (status === previousStatus) {
+        return res.status(400).json({
+          message: `${label} is already ${status}`
+        });
+      }
+      if (status === 'expired') {
+        return res.status(400).json({
+          message: `Listings expire on their own; mark the ${singular} removed to take it down`
+        });
+      }
+      if (status === 'pending-review' && !Model.isReviewRequired()) {
+        return res.status(400).json({
+          message: 'Listings are not reviewed; publish it with status active'
+        });
+      }
+      if (status === 'active' && UNPUBLISHED_STATUSES.includes(previousStatus) &&
+          Model.isReviewRequired() && actor !== 'admin') {
+        return res.status(403).json({
+          message: 'Listings are reviewed before they go live; submit it with status pending-review'
+        });
+      }
+
+      // A reservation held by an accepted offer ends with the deal: the
+      // listing is sold, or the offer is cancelled, which makes it
+      // available again
+      if (previousStatus === 'reserved' && status !== 'sold') {
+        const acceptedOffer = await findAcceptedOffer(listing);
+        if (acceptedOffer) {
+          return res.status(409).json({
+            message: `${label} is reserved for an accepted offer; mark it sold or cancel the deal instead`,
+            data: { offerId: acceptedOffer._id }
+          });
+        }
+      }
+
+      listing.setStatus(status, { by: actor, reason });
+      await listing.save();
+
+      // Tell the seller how the review went
+      if (actor === 'admin' && previousStatus === 'pending-review') {
+        if (status === 'active') await notifySeller(Model.category, listing, 'approved');
+        if (status === 'draft') await notifySeller(Model.category, listing, 'rejected', { reason });
+      }
+
+      res.json({
+        message: `${label} is now ${status}`,
+        data: listing
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          message: 'Validation error',
+          errors: errors
+        });
+      }
+
+      console.error(`Error changing ${singular} status:`, error);
+      res.status(500).json({
+        message: `Error changing ${singular} status`,
+        error: error.message
+      });
+    }
+  });
+
+  // Renew a listing for another LISTING_EXPIRY_DAYS: an expired one goes
+  // active again, an active one can be extended in its last
+  // RENEWAL_WINDOW_DAYS (owner or admin)
+  router.post('/:id/renew', authenticateToken, checkOwnership(Model, 'id', 'seller'), async (req, res) => {
+    try {
+      const listing = req.resource;
+
+      if (listing.status !== 'active' && listing.status !== 'expired') {
+        return res.status(400).json({
+          message: `Only active or expired ${plural} can be renewed; this one is ${listing.status}`
+        });
+      }
+      if (listing.status === 'active' && listing.expiresAt && renewableFrom(listing) > new Date()) {
+        return res.status(400).json({
+          message: `This ${singular} can be renewed in the last ${RENEWAL_WINDOW_DAYS} days before it expires`,
+          data: { expiresAt: listing.expiresAt, renewableFrom: renewableFrom(listing) }
+        });
+      }
+
+      listing.renew({ by: actorOf(req) });
+      await listing.save();
+
+      res.json({
+        message: `${label} renewed until ${listing.expiresAt.toISOString().slice(0, 10)}`,
+        data: listing
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          message: 'Validation error',
+          errors: errors
+        });
+      }
+
+      console.error(`Error renewing ${singular}:`, error);
+      res.status(500).json({
+        message: `Error renewing ${singular}`,
+        error: error.message
+      });
+    }
+  });
+
+  // Get a listing's status changes, oldest first (owner or admin)
+  router.get('/:id/status-history', authenticateToken, checkOwnership(Model, 'id', 'seller'), async (req, res) => {
+    try {
+      const listing = await Model.findById(req.resource._id)
+        .select('+statusHistory status statusChangedAt publishedAt expiresAt');
+
+      res.json({
+        message: 'Status history retrieved successfully',
+        data: {
+          listingId: listing._id,
+          status: listing.status,
+          statusChangedAt: listing.statusChangedAt,
+          publishedAt: listing.publishedAt,
+          expiresAt: listing.expiresAt,
+          history: listing.statusHistory
+        }
+      });
+    } catch (error) {
+      console.error(`Error fetching ${singular} status history:`, error);
+      res.status(500).json({
+        message: `Error fetching ${singular} status history`,
+        error: error.message
+      });
+    }
+  });
+
+  // Add photos to a listing (multipart field "images", owner or admin only)
+  router.post('/:id/images', authenticateToken, checkOwnership(Model, 'id', 'seller'), receiveImages('images'), async (req, res) => {
+    const listing = req.resource;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'Please attach at least one image' });
+    }
+
+    if (listing.images.length + req.files.length > IMAGE_LIMITS.maxPerListing) {
+      return res.status(400).json({
+        message: `A listing can have at most ${IMAGE_LIMITS.maxPerListing} photos`
+      });
+    }
+
+    const stored = [];
+    try {
+      for (const file of req.files) {
+        stored.push(await storeListingImage(file.buffer, { ownerId: listing.seller }));
+      }
+
+      listing.images.push(...stored);
+      await listing.save();
+
+      res.status(201).json({
+        message: 'Photos added successfully',
+        data: { images: listing.images }
+      });
+    } catch (error) {
+      // Don't leave files behind for photos that were not saved
+      await Promise.all(stored.map(image => deleteListingImage(image.storageKey).catch(() => {})));
+
+      if (error.name === 'InvalidImageError') {
+        return res.status(400).json({ message: error.message });
+      }
+
+      console.error(`Error adding ${singular} photos:`, error);
+      res.status(500).json({
+        message: `Error adding ${singular} photos`,
+        error: error.message
+      });
+    }
+  });
+
+  // Reorder photos; body { order: [imageId, ...] } must list every photo once
+  router.patch('/:id/images/order', authenticateToken, checkOwnership(Model, 'id', 'seller'), async (req, res) => {
+    try {
+      const listing = req.resource;
+      const { order } = req.body;
+
+      const currentIds = listing.images.map(image => image._id.toString());
+      const isPermutation = Array.isArray(order) &&
+        order.length === currentIds.length &&
+        new Set(order.map(String)).size === currentIds.length &&
+        order.every(imageId => currentIds.includes(String(imageId)));
+
+      if (!isPermutation) {
+        return res.status(400).json({
+          message: 'Order must list every photo of the listing exactly once'
+        });
+      }
+
+      listing.images = order.map(imageId => listing.images.id(imageId).toObject());
+      await listing.save();
+
+      res.json({
+        message: 'Photos reordered successfully',
+        data: { images: listing.images }
+      });
+    } catch (error) {
+      console.error(`Error reordering ${singular} photos:`, error);
+      res.status(500).json({
+        message: `Error reordering ${singular} photos`,
+        error: error.message
+      });
+    }
+  });
+
+  // Update a photo's caption or make it the cover; body { caption, isCover: true }
+  router.patch('/:id/images/:imageId', authenticateToken, checkOwnership(Model, 'id', 'seller'), async (req, res) => {
+    try {
+      const listing = req.resource;
+      const image = listing.images.id(req.params.imageId);
+
+      if (!image) {
+        return res.status(404).json({ message: 'Photo not found' });
+      }
+
+      if (req.body.caption !== undefined) {
+        image.caption = req.body.caption;
+      }
+
+      if (req.body.isCover === true) {
+        listing.images.forEach(other => {
+          other.isCover = other._id.equals(image._id);
+        });
+      }
+
+      await listing.save();
+
+      res.json({
+        message: 'Photo updated successfully',
+        data: image
+      });
+    } catch (error) {
+      console.error(`Error updating ${singular} photo:`, error);
+
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          message: 'Validation error',
+          errors: errors
+        });
+      }
+
+      res.status(500).json({
+        message: `Error updating ${singular} photo`,
+        error: error.message
+      });
+    }
+  });
+
+  // Delete a single photo and its stored files
+  router.delete('/:id/images/:imageId', authenticateToken, checkOwnership(Model, 'id', 'seller'), async (req, res) => {
+    try {
+      const listing = req.resource;
+      const image = listing.images.id(req.params.imageId);
+
+      if (!image) {
+        return res.status(404).json({ message: 'Photo not found' });
+      }
+
+      image.deleteOne();
+      await listing.save();
+
+      // Only remove files this seller uploaded; external URLs are left alone
+      if (isOwnedListingImage(image, listing.seller)) {
+        await deleteListingImage(image.storageKey).catch(error => {
+          console.error(`Error deleting stored files for ${image.storageKey}:`, error);
+        });
+      }
+
+      res.json({
+        message: 'Photo deleted successfully',
+        data: { images: listing.images }
+      });
+    } catch (error) {
+      console.error(`Error deleting ${singular} photo:`, error);
+      res.status(500).json({
+        message: `Error deleting ${singular} photo`,
+        error: error.message
+      });
+    }
+  });
+
+  // Get a listing's asking price history, oldest first; unpublished listings
+  // only for their seller and admins
+  router.get('/:id/price-history', optionalAuth, async (req, res) => {
+    try {
+      const listing = await Model.findById(req.params.id)
+        .select('+priceHistory presentPrice pastPrice previousPrice priceDroppedAt status seller');
+
+      if (!listing || !canView(listing, req.user)) {
+        return res.status(404).json({
+          message: `${label} not found`
+        });
+      }
+
+      res.json({
+        message: 'Price history retrieved successfully',
+        data: {
+          listingId: listing._id,
+          currentPrice: listing.presentPrice,
+          previousPrice: listing.previousPrice,
+          originalPrice: listing.pastPrice,
+          priceDroppedAt: listing.priceDroppedAt,
+          history: listing.priceHistory
+        }
+      });
+    } catch (error) {
+      console.error(`Error fetching ${singular} price history:`, error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: `Invalid ${singular} ID format`
+        });
+      }
+
+      res.status(500).json({
+        message: `Error fetching ${singular} price history`,
+        error: error.message
+      });
+    }
+  });
+
+  // Favourite a listing (requires auth)
+  router.post('/:id/favourite', authenticateToken, async (req, res) => {
+    try {
+      const listing = await Model.findOne({ _id: req.params.id, isActive: true }).select('presentPrice');
+
+      if (!listing) {
+        return res.status(404).json({
+          message: `${label} not found`
+        });
+      }
+
+      const result = await Favourite.updateOne(
+        { user: req.user._id, listing: listing._id },
+        { $setOnInsert: { category: Model.category, priceAtSave: listing.presentPrice } },
+        { upsert: true }
+      );
+
+      // Only count a favourite the first time it is added
+      if (result.upsertedCount > 0) {
+        await Model.updateOne({ _id: listing._id }, { $inc: { favouriteCount: 1 } });
+      }
+
+      res.status(result.upsertedCount > 0 ? 201 : 200).json({
+        message: `${label} added to favourites`
+      });
+    } catch (error) {
+      // A parallel request added the same favourite first
+      if (error.code === 11000) {
+        return res.json({
+          message: `${label} added to favourites`
+        });
+      }
+
+      console.error(`Error favouriting ${singular}:`, error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: `Invalid ${singular} ID format`
+        });
+      }
+
+      res.status(500).json({
+        message: `Error favouriting ${singular}`,
+        error: error.message
+      });
+    }
+  });
+
+  // Remove a listing from the caller's favourites (requires auth)
+  router.delete('/:id/favourite', authenticateToken, async (req, res) => {
+    try {
+      const result = await Favourite.deleteOne({
+        user: req.user._id,
+        category: Model.category,
+        listing: req.params.id
+      });
+
+      if (result.deletedCount === 0) {
+        return res.status(404).json({
+          message: `${label} is not in your favourites`
+        });
+      }
+
+      await Model.updateOne(
+        { _id: req.params.id, favouriteCount: { $gt: 0 } },
+        { $inc: { favouriteCount: -1 } }
+      );
+
+      res.json({
+        message: `${label} removed from favourites`
+      });
+    } catch (error) {
+      console.error(`Error unfavouriting ${singular}:`, error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: `Invalid ${singular} ID format`
+        });
+      }
+
+      res.status(500).json({
+        message: `Error unfavouriting ${singular}`,
+        error: error.message
+      });
+    }
+  });
+
+  // Make an offer on a listing { amount, message } (requires auth)
+  router.post('/:id/offers', authenticateToken, async (req, res) => {
+    const amount = Number(req.body?.amount);
+    const message = req.body?.message;
+
+    if (!Number.isFinite(amount) || amount < 1) {
+      return res.status(400).json({
+        message: 'Offer amount must be a positive number'
+      });
+    }
+    if (message !== undefined && (typeof message !== 'string' || message.length > 500)) {
+      return res.status(400).json({
+        message: 'Message must be text of at most 500 characters'
+      });
+    }
+
+    try {
+      const listing = await Model.findOne({ _id: req.params.id, isActive: true })
+        .select('name presentPrice seller availability');
+
+      if (!listing) {
+        return res.status(404).json({
+          message: `${label} not found`
+        });
+      }
+
+      if (listing.availability !== 'available') {
+        return res.status(400).json({
+          message: `This ${singular} is ${listing.availability} and not taking offers`
+        });
+      }
+
+      if (listing.seller.toString() === req.user._id.toString()) {
+        return res.status(400).json({
+          message: 'You cannot make an offer on your own listing'
+        });
+      }
+
+      const existing = await findOpenOffer(listing._id, req.user._id);
+      if (existing) {
+        return res.status(400).json({
+          message: 'You already have an open offer on this listing',
+          data: { offerId: existing._id }
+        });
+      }
+
+      const offer = await Offer.create({
+        category: Model.category,
+        listing: listing._id,
+        listingTitle: listing.name,
+        askingPrice: listing.presentPrice,
+        buyer: req.user._id,
+        seller: listing.seller,
+        amount,
+        expiresAt: Offer.getExpiryTime(),
+        history: [{ action: 'offer', by: 'buyer', amount, message }]
+      });
+
+      await announceStep(offer, 'offer', 'buyer');
+
+      res.status(201).json({
+        message: 'Offer sent successfully',
+        data: { offer }
+      });
+    } catch (error) {
+      // Another request created an open offer for this buyer in the meantime
+      if (error.code === 11000) {
+        const existing = await findOpenOffer(req.params.id, req.user._id);
+        return res.status(400).json({
+          message: 'You already have an open offer on this listing',
+          data: { offerId: existing?._id }
+        });
+      }
+
+      console.error(`Error making offer on ${singular}:`, error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: `Invalid ${singular} ID format`
+        });
+      }
+
+      res.status(500).json({
+        message: `Error making offer on ${singular}`,
+        error: error.message
+      });
+    }
+  });
+
+  // Offers on a listing, newest first; ?status=open|<status> (owner only)
+  router.get('/:id/offers', authenticateToken, checkOwnership(Model, 'id', 'seller'), async (req, res) => {
+    try {
+      const filter = { listing: req.resource._id };
+      if (req.query.status === 'open') {
+        filter.status = { $in: Offer.OPEN_STATUSES };
+      } else if (req.query.status) {
+        filter.status = req.query.status;
+      }
+
+      const offers = await Offer.find(filter)
+        .sort({ createdAt: -1 })
+        .populate('buyer', 'name');
+
+      res.json({
+        message: 'Offers retrieved successfully',
+        data: { offers }
+      });
+    } catch (error) {
+      console.error(`Error fetching ${singular} offers:`, error);
+      res.status(500).json({
+        message: `Error fetching ${singular} offers`,
+        error: error.message
+      });
+    }
+  });
+
+  // Message the seller of a listing { text }; continues the caller's existing
+  // conversation about the listing if there is one (requires auth)
+  router.post('/:id/conversations', authenticateToken, async (req, res) => {
+    try {
+      const listing = await Model.findOne({ _id: req.params.id, isActive: true }).select('name seller');
+
+      if (!listing) {
+        return res.status(404).json({
+          message: `${label} not found`
+        });
+      }
+
+      if (listing.seller.toString() === req.user._id.toString()) {
+        return res.status(400).json({
+          message: 'You cannot message yourself about your own listing'
+        });
+      }
+
+      // Check the text first so an invalid message doesn't leave an empty
+      // conversation behind
+      await new Message({ sender: req.user._id, text: req.body?.text }).validate(['text']);
+
+      const key = { listing: listing._id, buyer: req.user._id };
+      let conversation;
+      try {
+        conversation = await Conversation.findOneAndUpdate(
+          key,
+          {
+            $setOnInsert: {
+              category: Model.category,
+              listingTitle: listing.name,
+              seller: listing.seller
+            }
+          },
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        // A parallel request started the same conversation first
+        if (error.code !== 11000) throw error;
+        conversation = await Conversation.findOne(key);
+      }
+
+      const { message } = await postMessage(conversation, req.user._id, req.body?.text);
+
+      res.status(201).json({
+        message: 'Message sent successfully',
+        data: {
+          conversationId: conversation._id,
+          message: presentMessage(message, req.user._id, conversation.contactsShared)
+        }
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          message: 'Validation error',
+          errors
+        });
+      }
+
+      if (error.name === 'MessagingError') {
+        return res.status(error.status).json({
+          message: error.message
+        });
+      }
+
+      console.error(`Error messaging ${singular} seller:`, error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: `Invalid ${singular} ID format`
+        });
+      }
+
+      res.status(500).json({
+        message: `Error messaging ${singular} seller`,
+        error: error.message
+      });
+    }
+  });
+
+  // Upcoming viewing / test ride slots of a listing, soonest first, with
+  // whether each one is already booked
+  router.get('/:id/slots', async (req, res) => {
+    try {
+      const listing = await Model.findOne({ _id: req.params.id, isActive: true }).select('_id');
+
+      if (!listing) {
+        return res.status(404).json({
+          message: `${label} not found`
+        });
+      }
+
+      const slots = await AvailabilitySlot.find({ listing: listing._id, startsAt: { $gt: new Date() } })
+        .sort({ startsAt: 1 })
+        .lean();
+
+      res.json({
+        message: 'Slots retrieved successfully',
+        data: {
+          slots: slots.map(({ appointment, ...slot }) => ({ ...slot, isBooked: Boolean(appointment) }))
+        }
+      });
+    } catch (error) {
+      console.error(`Error fetching ${singular} slots:`, error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: `Invalid ${singular} ID format`
+        });
+      }
+
+      res.status(500).json({
+        message: `Error fetching ${singular} slots`,
+        error: error.message
+      });
+    }
+  });
+
+  // Offer viewing / test ride slots { slots: [{ startsAt, endsAt }] } or a
+  // single { startsAt, endsAt }; slots may not overlap any of the seller's
+  // other slots, on any listing (owner only)
+  router.post('/:id/slots', authenticateToken, checkOwnership(Model, 'id', 'seller'), async (req, res) => {
+    const input = Array.isArray(req.body?.slots) ? req.body.slots : [req.body];
+
+    if (input.length === 0 || input.length > SLOT_LIMITS.perRequest) {
+      return res.status(400).json({
+        message: `Add between 1 and ${SLOT_LIMITS.perRequest} slots at a time`
+      });
+    }
+
+    const now = new Date();
+    const slots = [];
+    for (const entry of input) {
+      const { slot, error } = parseSlot(entry, now);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      slots.push(slot);
+    }
+
+    slots.sort((a, b) => a.startsAt - b.startsAt);
+    for (let i = 1; i < slots.length; i++) {
+      if (slots[i].startsAt < slots[i - 1].endsAt) {
+        return res.status(400).json({
+          message: 'Slots in the request overlap each other'
+        });
+      }
+    }
+
+    try {
+      const listing = req.resource;
+
+      if (!listing.isActive || listing.availability !== 'available') {
+        return res.status(400).json({
+          message: `Slots can only be added to an available ${singular}`
+        });
+      }
+
+      const upcoming = await AvailabilitySlot.countDocuments({ listing: listing._id, startsAt: { $gt: now } });
+      if (upcoming + slots.length > SLOT_LIMITS.upcomingPerListing) {
+        return res.status(400).json({
+          message: `A ${singular} can have at most ${SLOT_LIMITS.upcomingPerListing} upcoming slots`
+        });
+      }
+
+      const overlapping = await AvailabilitySlot.findOverlapping(
+        listing.seller,
+        slots[0].startsAt,
+        slots[slots.length - 1].endsAt
+      ).lean();
+      const clash = overlapping.find(existing =>
+        slots.some(slot => slot.startsAt < existing.endsAt && slot.endsAt > existing.startsAt)
+      );
+      if (clash) {
+        return res.status(409).json({
+          message: 'A slot overlaps one you already offer',
+          data: { slotId: clash._id, listing: clash.listing, startsAt: clash.startsAt, endsAt: clash.endsAt }
+        });
+      }
+
+      const created = await AvailabilitySlot.insertMany(slots.map(slot => ({
+        ...slot,
+        category: Model.category,
+        listing: listing._id,
+        seller: listing.seller
+      })));
+
+      res.status(201).json({
+        message: `${created.length} slot${created.length === 1 ? '' : 's'} added successfully`,
+        data: { slots: created }
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          message: 'Validation error',
+          errors
+        });
+      }
+
+      console.error(`Error adding ${singular} slots:`, error);
+      res.status(500).json({
+        message: `Error adding ${singular} slots`,
+        error: error.message
+      });
+    }
+  });
+
+  // Withdraw a slot that nobody has booked (owner only)
+  router.delete('/:id/slots/:slotId', authenticateToken, checkOwnership(Model, 'id', 'seller'), async (req, res) => {
+    try {
+      const slot = await AvailabilitySlot.findOne({ _id: req.params.slotId, listing: req.resource._id });
+
+      if (!slot) {
+        return res.status(404).json({
+          message: 'Slot not found'
+        });
+      }
+
+      // Only delete it if no booking claimed it in the meantime
+      const result = await AvailabilitySlot.deleteOne({ _id: slot._id, appointment: null });
+      if (result.deletedCount === 0) {
+        return res.status(400).json({
+          message: 'This slot is booked; cancel the appointment first'
+        });
+      }
+
+      res.json({
+        message: 'Slot removed successfully'
+      });
+    } catch (error) {
+      console.error(`Error removing ${singular} slot:`, error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: 'Invalid slot ID format'
+        });
+      }
+
+      res.status(500).json({
+        message: `Error removing ${singular} slot`,
+        error: error.message
+      });
+    }
+  });
+
+  // Get listings by type
+  router.get('/type/:type', async (req, res) => {
+    try {
+      const { type } = req.params;
+      const {
+        page = 1,
+        limit = 10,
+        sort = '-createdAt'
+      } = req.query;
+
+      if (!types.includes(type)) {
+        return res.status(400).json({
+          message: `Invalid ${singular} type. Must be ${describeChoices(types)}`
+        });
+      }
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const listings = await Model.findByType(type)
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum)
+        .lean();
+
+      const totalCount = await Model.countDocuments({
+        [typeField]: type,
+        availability: 'available',
+        isActive: true
+      });
+
+      const totalPages = Math.ceil(totalCount / limitNum);
+
+      res.json({
+        message: `${type} ${plural} retrieved successfully`,
+        data: {
+          [plural]: listings.map(withCoverImage),
+          pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalCount,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`Error fetching ${plural} by type:`, error);
+      res.status(500).json({
+        message: `Error fetching ${plural} by type`,
+        error: error.message
+      });
+    }
+  });
+
+  // Get listings within price range
+  router.get('/price-range/:minPrice/:maxPrice', async (req, res) => {
+    try {
+      const { minPrice, maxPrice } = req.params;
+      const {
+        page = 1,
+        limit = 10,
+        sort = '-createdAt'
+      } = req.query;
+
+      const min = parseInt(minPrice);
+      const max = parseInt(maxPrice);
+
+      if (isNaN(min) || isNaN(max) || min < 0 || max < 0 || min > max) {
+        return res.status(400).json({
+          message: 'Invalid price range'
+        });
+      }
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const listings = await Model.findByPriceRange(min, max)
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum)
+        .lean();
+
+      const totalCount = await Model.countDocuments({
+        presentPrice: { $gte: min, $lte: max },
+        availability: 'available',
+        isActive: true
+      });
+
+      const totalPages = Math.ceil(totalCount / limitNum);
+
+      res.json({
+        message: `${pluralLabel} in price range ₹${min.toLocaleString()} - ₹${max.toLocaleString()} retrieved successfully`,
+        data: {
+          [plural]: listings.map(withCoverImage),
+          pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalCount,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`Error fetching ${plural} by price range:`, error);
+      res.status(500).json({
+        message: `Error fetching ${plural} by price range`,
+        error: error.message
+      });
+    }
+  });
+
+  // Listings waiting for review, longest waiting first (admin only)
+  router.get('/review/queue', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+      const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+      const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+      const filter = { status: 'pending-review' };
+
+      const [listings, totalCount] = await Promise.all([
+        Model.find(filter)
+          .sort({ statusChangedAt: 1 })
+          .skip((pageNum - 1) * limitNum)
+          .limit(limitNum)
+          .populate('seller', 'name email'),
+        Model.countDocuments(filter)
+      ]);
+      const totalPages = Math.ceil(totalCount / limitNum);
+
+      res.json({
+        message: `${pluralLabel} waiting for review retrieved successfully`,
+        data: {
+          [plural]: listings,
+          pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalCount,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`Error fetching ${plural} waiting for review:`, error);
+      res.status(500).json({
+        message: `Error fetching ${plural} waiting for review`,
+        error: error.message
+      });
+    }
+  });
+
+  // Get listing statistics (admin only)
+  router.get('/stats/overview', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+      const total = await Model.countDocuments({ isActive: true });
+      const available = await Model.countDocuments({ availability: 'available', isActive: true });
+      const sold = await Model.countDocuments({ availability: 'sold', isActive: true });
+
+      // Per-type counts, e.g. { petrol: 12, electric: 3 }
+      const typeCounts = {};
+      for (const type of types) {
+        typeCounts[type.toLowerCase()] = await Model.countDocuments({ [typeField]: type, isActive: true });
+      }
+
+      // Listings per lifecycle status, e.g. { draft: 2, active: 40, ... }
+      const statusCounts = Object.fromEntries(Model.STATUSES.map(status => [status, 0]));
+      const byStatus = await Model.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+      byStatus.forEach(({ _id, count }) => {
+        if (_id in statusCounts) statusCounts[_id] = count;
+      });
+
+      const priceStats = await Model.aggregate([
+        { $match: { isActive: true, availability: 'available' } },
+        {
+          $group: {
+            _id: null,
+            avgPrice: { $avg: '$presentPrice' },
+            minPrice: { $min: '$presentPrice' },
+            maxPrice: { $max: '$presentPrice' }
+          }
+        }
+      ]);
+
+      res.json({
+        message: `${label} statistics retrieved successfully`,
+        data: {
+          total,
+          available,
+          sold,
+          ...typeCounts,
+          statuses: statusCounts,
+          priceStats: priceStats[0] || {
+            avgPrice: 0,
+            minPrice: 0,
+            maxPrice: 0
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`Error fetching ${singular} statistics:`, error);
+      res.status(500).json({
+        message: `Error fetching ${singular} statistics`,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createListingRouter;
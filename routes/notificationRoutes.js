@@ -0,0 +1,92 @@
+// backend/routes/notificationRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { authenticateToken } = require('../middleware/auth');
+
+// GET /api/notifications - The caller's notifications, newest first, with the
+// unread count; ?unread=true returns unread ones only (requires auth)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const [notifications, totalCount, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Notification.countDocuments(filter),
+      Notification.countUnread(req.user._id)
+    ]);
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      message: 'Notifications retrieved successfully',
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/notifications/read-all - Mark all of the caller's notifications as read
+router.patch('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      message: 'Notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/notifications/:id/read - Mark one notification as read
+router.patch('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid notification ID format' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
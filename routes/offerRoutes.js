@@ -0,0 +1,170 @@
+// backend/routes/offerRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const Offer = require('../models/Offer');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  counterOffer,
+  acceptOffer,
+  rejectOffer,
+  withdrawOffer,
+  cancelOffer
+} = require('../utils/offers');
+
+const MAX_MESSAGE_LENGTH = 500;
+
+// Load the offer in :id for one of its two sides as req.offer, with the
+// caller's side in req.offerRole. Admins may view but not negotiate.
+const loadOffer = ({ allowAdmin = false } = {}) => async (req, res, next) => {
+  try {
+    const offer = await Offer.findById(req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    const role = offer.roleOf(req.user._id);
+    if (!role && !(allowAdmin && req.user.role === 'admin')) {
+      return res.status(403).json({ message: 'Not authorized to access this offer' });
+    }
+
+    req.offer = offer;
+    req.offerRole = role;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid offer ID format' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Optional note sent along with a step; returns an error message or null
+const validateMessage = (message) => {
+  if (message === undefined || message === null) return null;
+  if (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH) {
+    return `Message must be text of at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Run a negotiation step and answer with the updated offer
+const respond = (step, successMessage) => async (req, res) => {
+  const messageError = validateMessage(req.body?.message);
+  if (messageError) {
+    return res.status(400).json({ message: messageError });
+  }
+
+  try {
+    const offer = await step(req.offer, req.offerRole, req.body || {});
+
+    res.json({
+      message: successMessage,
+      data: { offer }
+    });
+  } catch (error) {
+    if (error.name === 'OfferError') {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error updating offer:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// GET /api/offers - Offer history for the caller as buyer and seller, newest
+// first; ?role=buyer|seller, ?status=open|<status> (requires auth)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const { role, status } = req.query;
+
+    let filter;
+    if (role === 'buyer' || role === 'seller') {
+      filter = { [role]: req.user._id };
+    } else {
+      filter = { $or: [{ buyer: req.user._id }, { seller: req.user._id }] };
+    }
+
+    if (status === 'open') {
+      filter.status = { $in: Offer.OPEN_STATUSES };
+    } else if (status) {
+      filter.status = status;
+    }
+
+    const [offers, totalCount] = await Promise.all([
+      Offer.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('buyer', 'name')
+        .populate('seller', 'name'),
+      Offer.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      message: 'Offers retrieved successfully',
+      data: {
+        offers,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/offers/:id - One offer with its negotiation history (buyer, seller or admin)
+router.get('/:id', authenticateToken, loadOffer({ allowAdmin: true }), async (req, res) => {
+  try {
+    await req.offer.populate([
+      { path: 'buyer', select: 'name' },
+      { path: 'seller', select: 'name' }
+    ]);
+
+    res.json({
+      message: 'Offer retrieved successfully',
+      data: { offer: req.offer }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/offers/:id/counter - Answer with a different amount { amount, message }
+// (the side the offer is waiting for)
+router.patch('/:id/counter', authenticateToken, loadOffer(), (req, res, next) => {
+  const amount = Number(req.body?.amount);
+  if (!Number.isFinite(amount) || amount < 1) {
+    return res.status(400).json({ message: 'Counter amount must be a positive number' });
+  }
+  if (amount === req.offer.amount) {
+    return res.status(400).json({ message: 'Counter amount must differ from the current amount' });
+  }
+  req.body.amount = amount;
+  next();
+}, respond(counterOffer, 'Counter offer sent'));
+
+// PATCH /api/offers/:id/accept - Accept the amount on the table and reserve the
+// listing (the side the offer is waiting for)
+router.patch('/:id/accept', authenticateToken, loadOffer(), respond(acceptOffer, 'Offer accepted; the listing is reserved'));
+
+// PATCH /api/offers/:id/reject - Turn the offer down (the side the offer is waiting for)
+router.patch('/:id/reject', authenticateToken, loadOffer(), respond(rejectOffer, 'Offer rejected'));
+
+// PATCH /api/offers/:id/withdraw - Take back an open offer (buyer only)
+router.patch('/:id/withdraw', authenticateToken, loadOffer(), respond(withdrawOffer, 'Offer withdrawn'));
+
+// PATCH /api/offers/:id/cancel - Call off an accepted deal and make the listing
+// available again (buyer or seller)
+router.patch('/:id/cancel', authenticateToken, loadOffer(), respond(cancelOffer, 'Deal cancelled; the listing is available again'));
+
+module.exports = router;
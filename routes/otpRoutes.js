@@ -0,0 +1,184 @@
+// backend/routes/otpRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const OtpChallenge = require('../models/OtpChallenge');
+const LoginAttempt = require('../models/LoginAttempt');
+const { sendSms } = require('../utils/sms');
+const { startSession } = require('../utils/sessions');
+
+const PHONE_PATTERN = /^[0-9]{10}$/;
+
+// OTP limits; the windows are in milliseconds
+const OTP_LIMITS = {
+  ttl: 5 * 60 * 1000,
+  resendCooldown: 60 * 1000,
+  maxAttempts: 5,
+  perPhone: { max: 5, window: 60 * 60 * 1000 },
+  perIp: { max: 20, window: 60 * 60 * 1000 }
+};
+
+// Reply with 429 and a Retry-After header
+const tooManyRequests = (res, message, retryAfterMs) => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, retryAfter });
+};
+
+// POST /api/auth/otp/request - Send a one-time login code to a phone number
+router.post('/request', async (req, res) => {
+  const { phone } = req.body;
+  const ipAddress = req.ip || req.connection.remoteAddress;
+
+  if (!phone || !PHONE_PATTERN.test(phone)) {
+    return res.status(400).json({ message: 'Please enter a valid 10-digit phone number' });
+  }
+
+  try {
+    const now = Date.now();
+
+    const lastChallenge = await OtpChallenge.findOne({ phone }).sort({ createdAt: -1 });
+    if (lastChallenge && now - lastChallenge.createdAt < OTP_LIMITS.resendCooldown) {
+      return tooManyRequests(
+        res,
+        'Please wait before requesting another code',
+        OTP_LIMITS.resendCooldown - (now - lastChallenge.createdAt)
+      );
+    }
+
+    const phoneCount = await OtpChallenge.countSince(
+      { phone },
+      new Date(now - OTP_LIMITS.perPhone.window)
+    );
+    if (phoneCount >= OTP_LIMITS.perPhone.max) {
+      return tooManyRequests(res, 'Too many codes requested for this number', OTP_LIMITS.perPhone.window);
+    }
+
+    const ipCount = await OtpChallenge.countSince(
+      { ipAddress },
+      new Date(now - OTP_LIMITS.perIp.window)
+    );
+    if (ipCount >= OTP_LIMITS.perIp.max) {
+      return tooManyRequests(res, 'Too many codes requested from this network', OTP_LIMITS.perIp.window);
+    }
+
+    const { code } = await OtpChallenge.issue(phone, { ipAddress, ttlMs: OTP_LIMITS.ttl });
+
+    await sendSms({
+      to: phone,
+      body: `${code} is your VAHAAN BAZAAR login code. It expires in ${OTP_LIMITS.ttl / 60000} minutes. Do not share it with anyone.`
+    });
+
+    res.json({
+      message: 'OTP sent successfully',
+      data: {
+        expiresIn: OTP_LIMITS.ttl / 1000,
+        resendAfter: OTP_LIMITS.resendCooldown / 1000
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST /api/auth/otp/verify - Verify a code and log in, creating the account
+// on first use (name is required in that case)
+router.post('/verify', async (req, res) => {
+  const { phone, code, name } = req.body;
+
+  if (!phone || !PHONE_PATTERN.test(phone) || !code) {
+    return res.status(400).json({ message: 'Phone number and code are required' });
+  }
+
+  try {
+    const challenge = await OtpChallenge.findActive(phone);
+    if (!challenge) {
+      return res.status(400).json({ message: 'Code has expired or was not requested. Please request a new code.' });
+    }
+
+    if (challenge.attempts >= OTP_LIMITS.maxAttempts) {
+      return res.status(429).json({ message: 'Too many incorrect attempts. Please request a new code.' });
+    }
+
+    let user = await User.findOne({ phone, phoneVerified: true });
+    if (!user && !name) {
+      return res.status(400).json({
+        message: 'Name is required to create a new account',
+        data: { requiresSignup: true }
+      });
+    }
+
+    // Count the attempt before checking so parallel guesses are all counted
+    const attempt = await OtpChallenge.findOneAndUpdate(
+      { _id: challenge._id, consumedAt: null, attempts: { $lt: OTP_LIMITS.maxAttempts } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!attempt) {
+      return res.status(429).json({ message: 'Too many incorrect attempts. Please request a new code.' });
+    }
+
+    if (!attempt.matchCode(code)) {
+      await LoginAttempt.record(req, {
+        user,
+        identifier: phone,
+        method: 'otp',
+        success: false,
+        reason: 'invalid-credentials'
+      });
+      return res.status(400).json({
+        message: 'Incorrect code',
+        data: { attemptsRemaining: OTP_LIMITS.maxAttempts - attempt.attempts }
+      });
+    }
+
+    // Consume the code; only one request can win this update
+    const consumed = await OtpChallenge.findOneAndUpdate(
+      { _id: challenge._id, consumedAt: null },
+      { consumedAt: new Date() }
+    );
+    if (!consumed) {
+      return res.status(400).json({ message: 'Code has already been used. Please request a new code.' });
+    }
+
+    let isNewUser = !user;
+    if (isNewUser) {
+      try {
+        user = await User.create({ name, phone, phoneVerified: true });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+
+        // A parallel verify for this number created the account first; log
+        // in to that one
+        user = await User.findOne({ phone, phoneVerified: true });
+        if (!user) {
+          return res.status(409).json({ message: 'Could not create the account. Please try again.' });
+        }
+        isNewUser = false;
+      }
+    }
+
+    await LoginAttempt.record(req, { user, identifier: phone, method: 'otp', success: true });
+
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.status(isNewUser ? 201 : 200).json({
+      message: isNewUser ? 'User registered successfully' : 'Login successful',
+      data: {
+        token,
+        refreshToken,
+        isNewUser,
+        user: user.toProfileJSON()
+      }
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
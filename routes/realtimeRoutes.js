@@ -0,0 +1,156 @@
+// backend/routes/realtimeRoutes.js
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const RefreshToken = require('../models/RefreshToken');
+const { authenticateToken } = require('../middleware/auth');
+const { subscribe, listingChannel, userChannel } = require('../utils/realtime');
+const { canView } = require('../utils/listingStatus');
+
+const MAX_LISTING_SUBSCRIPTIONS = 50;
+// Comment line sent this often so proxies keep the connection open
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// How often an open stream checks that its session has not been revoked
+const SESSION_CHECK_INTERVAL = 60 * 1000;
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// EventSource can't send headers, so the access token may also come as
+// ?access_token=; it is checked exactly like the Authorization header
+const tokenFromQuery = (req, res, next) => {
+  if (!req.get('Authorization') && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Parse ?listings=bike:<id>,scooter:<id>; returns { listings: [{ category, id }] }
+// or { error }
+const parseListings = (value) => {
+  if (!value) return { listings: [] };
+
+  const entries = String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length > MAX_LISTING_SUBSCRIPTIONS) {
+    return { error: `You can follow at most ${MAX_LISTING_SUBSCRIPTIONS} listings per stream` };
+  }
+
+  const listings = new Map();
+  for (const entry of entries) {
+    const [category, id] = entry.split(':');
+    if (!Object.hasOwn(VEHICLE_CATEGORIES, category) || !mongoose.isValidObjectId(id)) {
+      return { error: `Invalid listing "${entry}". Use <category>:<id> with category one of: ${Object.keys(VEHICLE_CATEGORIES).join(', ')}` };
+    }
+    // Channels are keyed by the id as stored, not as typed
+    const listingId = new mongoose.Types.ObjectId(id).toString();
+    listings.set(listingChannel(category, listingId), { category, id: listingId });
+  }
+  return { listings: [...listings.values()] };
+};
+
+// The first of the listings the caller may not follow: ones that do not exist,
+// and drafts and listings waiting for review unless the caller may view them
+// (see canView); null if they can follow them all
+const findHiddenListing = async (listings, user) => {
+  for (const [category, Model] of Object.entries(VEHICLE_CATEGORIES)) {
+    const ids = listings.filter(listing => listing.category === category).map(listing => listing.id);
+    if (ids.length === 0) continue;
+
+    const found = await Model.find({ _id: { $in: ids } }).select('status seller').lean();
+    const visible = new Set(found.filter(listing => canView(listing, user)).map(listing => listing._id.toString()));
+
+    const hiddenId = ids.find(id => !visible.has(id));
+    if (hiddenId) return { category, id: hiddenId };
+  }
+  return null;
+};
+
+// Whether the session (refresh-token family) an access token was issued
+// for still has a live token, i.e. was not logged out or revoked
+const isSessionLive = (sessionId) => RefreshToken.exists({
+  family: sessionId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// GET /api/realtime/events - Server-Sent Events stream (requires auth).
+// Always carries the caller's offer, conversation, appointment and service
+// request events; ?listings=bike:<id>,scooter:<id> adds price and status
+// changes of those listings. Reconnect with a new query to change the
+// listings followed; 404 for a listing the caller can't view. The stream
+// ends when the access token expires or its session is revoked; the client
+// reconnects with a fresh token.
+router.get('/events', tokenFromQuery, authenticateToken, async (req, res) => {
+  const { listings, error } = parseListings(req.query.listings);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const hidden = await findHiddenListing(listings, req.user);
+    if (hidden) {
+      return res.status(404).json({ message: `Listing "${hidden.category}:${hidden.id}" not found` });
+    }
+  } catch (err) {
+    console.error('Error checking realtime stream listings:', err);
+    return res.status(500).json({ message: 'Error opening event stream', error: err.message });
+  }
+
+  // The client may have gone while the listings were checked
+  if (req.destroyed) return;
+
+  const channels = listings.map(({ category, id }) => listingChannel(category, id));
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const write = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const send = (message) => write(message.type, { ...message.data, sentAt: message.sentAt });
+  const unsubscribe = subscribe([userChannel(req.user._id), ...channels], send, () => res.end());
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    clearInterval(sessionCheck);
+    unsubscribe();
+  };
+
+  // Tell the client why the stream stops, then close it
+  const end = (reason) => {
+    if (res.writableEnded) return;
+    stop();
+    write('end', { reason });
+    res.end();
+  };
+
+  const expiry = setTimeout(
+    () => end('token-expired'),
+    Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMEOUT)
+  );
+
+  const sessionCheck = req.sessionId && setInterval(async () => {
+    try {
+      if (!await isSessionLive(req.sessionId)) end('session-revoked');
+    } catch (err) {
+      console.error('Error checking realtime stream session:', err);
+    }
+  }, SESSION_CHECK_INTERVAL);
+
+  req.on('close', stop);
+
+  res.write('retry: 5000\n\n');
+  write('ready', { listings: channels.length });
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+// backend/routes/savedSearchRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const SavedSearch = require('../models/SavedSearch');
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const { authenticateToken, checkOwnership } = require('../middleware/auth');
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Check the filters make sense for the category; returns an error message or null
+const validateFilters = (category, filters = {}) => {
+  if (!Object.hasOwn(VEHICLE_CATEGORIES, category)) return null; // reported by the schema's category validator
+  const Model = VEHICLE_CATEGORIES[category];
+
+  const types = Model.schema.path(Model.typeField).enumValues;
+  if (filters.type && !types.includes(filters.type)) {
+    return `Invalid ${category} type. Must be one of: ${types.join(', ')}`;
+  }
+
+  for (const field of ['transmission', 'bodyType']) {
+    const path = Model.schema.path(field);
+    if (filters[field] && (!path || !path.enumValues.includes(filters[field]))) {
+      return `Invalid ${field} for ${category} listings`;
+    }
+  }
+
+  if (filters.minPrice != null && filters.maxPrice != null && Number(filters.minPrice) > Number(filters.maxPrice)) {
+    return 'Invalid price range';
+  }
+
+  return null;
+};
+
+const sendValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({ message: 'Validation error', errors });
+};
+
+// GET /api/saved-searches - List the caller's saved searches (requires auth)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      message: 'Saved searches retrieved successfully',
+      data: { savedSearches: savedSearches.map(search => search.toPublicJSON()) }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/saved-searches - Save a search { name, category, filters, frequency } (requires auth)
+router.post('/', authenticateToken, async (req, res) => {
+  const { name, category, filters, frequency } = req.body;
+
+  const filterError = validateFilters(category, filters);
+  if (filterError) {
+    return res.status(400).json({ message: filterError });
+  }
+
+  try {
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        message: `You can save at most ${MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user._id,
+      name,
+      category,
+      filters,
+      frequency
+    });
+
+    res.status(201).json({
+      message: 'Search saved successfully',
+      data: { savedSearch: savedSearch.toPublicJSON() }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/saved-searches/:id - Get one saved search (owner only)
+router.get('/:id', authenticateToken, checkOwnership(SavedSearch), (req, res) => {
+  res.json({
+    message: 'Saved search retrieved successfully',
+    data: { savedSearch: req.resource.toPublicJSON() }
+  });
+});
+
+// PUT /api/saved-searches/:id - Edit name, category, filters or frequency (owner only)
+router.put('/:id', authenticateToken, checkOwnership(SavedSearch), async (req, res) => {
+  const savedSearch = req.resource;
+  const { name, category, filters, frequency } = req.body;
+
+  const filterError = validateFilters(category || savedSearch.category, filters || savedSearch.filters);
+  if (filterError) {
+    return res.status(400).json({ message: filterError });
+  }
+
+  try {
+    if (name !== undefined) savedSearch.name = name;
+    if (category !== undefined) savedSearch.category = category;
+    if (filters !== undefined) savedSearch.filters = filters;
+    if (frequency !== undefined) {
+      // Matches waiting for a digest are dropped when switching to instant alerts
+      if (frequency === 'instant') savedSearch.pendingMatches = [];
+      savedSearch.frequency = frequency;
+    }
+
+    await savedSearch.save();
+
+    res.json({
+      message: 'Saved search updated successfully',
+      data: { savedSearch: savedSearch.toPublicJSON() }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/saved-searches/:id/pause - Stop alerts for a saved search (owner only)
+router.patch('/:id/pause', authenticateToken, checkOwnership(SavedSearch), async (req, res) => {
+  try {
+    req.resource.isPaused = true;
+    await req.resource.save();
+
+    res.json({
+      message: 'Saved search paused',
+      data: { savedSearch: req.resource.toPublicJSON() }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/saved-searches/:id/resume - Restart alerts for a saved search (owner only)
+router.patch('/:id/resume', authenticateToken, checkOwnership(SavedSearch), async (req, res) => {
+  try {
+    req.resource.isPaused = false;
+    await req.resource.save();
+
+    res.json({
+      message: 'Saved search resumed',
+      data: { savedSearch: req.resource.toPublicJSON() }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// DELETE /api/saved-searches/:id - Delete a saved search (owner only)
+router.delete('/:id', authenticateToken, checkOwnership(SavedSearch), async (req, res) => {
+  try {
+    await req.resource.deleteOne();
+
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
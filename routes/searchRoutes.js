@@ -0,0 +1,38 @@
+// backend/routes/searchRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { getSuggestions } = require('../utils/suggestions');
+
+const MAX_SUGGESTIONS = 20;
+
+// GET /api/search/suggest?q= - Type-ahead brand, model and city suggestions
+// from active listings, most viewed first
+router.get('/suggest', async (req, res) => {
+  const query = String(req.query.q || '').trim().slice(0, 50);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), MAX_SUGGESTIONS);
+
+  if (!query) {
+    return res.status(400).json({ message: 'Search query (q) is required' });
+  }
+
+  try {
+    const suggestions = await getSuggestions(query, { limit });
+
+    res.json({
+      message: 'Suggestions retrieved successfully',
+      data: {
+        query,
+        suggestions
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    res.status(500).json({
+      message: 'Error fetching suggestions',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
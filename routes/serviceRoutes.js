@@ -3,13 +3,23 @@
 const express = require('express');
 const router = express.Router();
 const ServiceRequest = require('../models/ServiceRequest');
-const { setMockUser } = require('../middleware/auth');
+const { authenticateToken, requireRole } = require('../middleware/auth');
 
-// POST /api/services/request - Create a new service request (no auth required)
-router.post('/request', setMockUser, async (req, res) => {
+// Fields only staff may change, through PATCH /request/:id/status
+const STAFF_FIELDS = ['user', 'status', 'assignedTo', 'estimatedCost', 'actualCost', 'notes'];
+
+// Copy of a request body without the staff-managed fields
+const withoutStaffFields = (body) => {
+  const data = { ...body };
+  STAFF_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+// POST /api/services/request - Create a new service request (requires auth)
+router.post('/request', authenticateToken, async (req, res) => {
   try {
     const serviceRequest = new ServiceRequest({
-      ...req.body,
+      ...withoutStaffFields(req.body),
       user: req.user._id
     });
 
@@ -25,8 +35,8 @@ router.post('/request', setMockUser, async (req, res) => {
   }
 });
 
-// GET /api/services/my-requests - Get user's service requests (no auth required)
-router.get('/my-requests', setMockUser, async (req, res) => {
+// GET /api/services/my-requests - Get user's service requests (requires auth)
+router.get('/my-requests', authenticateToken, async (req, res) => {
   try {
     const { page = 1, limit = 10, status } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -60,8 +70,8 @@ router.get('/my-requests', setMockUser, async (req, res) => {
   }
 });
 
-// GET /api/services/request/:id - Get specific service request (no auth required)
-router.get('/request/:id', setMockUser, async (req, res) => {
+// GET /api/services/request/:id - Get specific service request (requires auth)
+router.get('/request/:id', authenticateToken, async (req, res) => {
   try {
     const request = await ServiceRequest.findById(req.params.id)
       .populate('user', 'name email');
@@ -71,7 +81,7 @@ router.get('/request/:id', setMockUser, async (req, res) => {
     }
 
     // Check if user owns this request
-    if (request.user._id.toString() !== req.user._id.toString()) {
+    if (request.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
       return res.status(403).json({ message: 'Not authorized to view this request' });
     }
 
@@ -84,8 +94,8 @@ router.get('/request/:id', setMockUser, async (req, res) => {
   }
 });
 
-// PUT /api/services/request/:id - Update service request (no auth required)
-router.put('/request/:id', setMockUser, async (req, res) => {
+// PUT /api/services/request/:id - Update service request (requires auth)
+router.put('/request/:id', authenticateToken, async (req, res) => {
   try {
     const request = await ServiceRequest.findById(req.params.id);
 
@@ -105,7 +115,7 @@ router.put('/request/:id', setMockUser, async (req, res) => {
 
     const updatedRequest = await ServiceRequest.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      withoutStaffFields(req.body),
       { new: true, runValidators: true }
     ).populate('user', 'name email');
 
@@ -118,8 +128,8 @@ router.put('/request/:id', setMockUser, async (req, res) => {
   }
 });
 
-// DELETE /api/services/request/:id - Cancel service request (no auth required)
-router.delete('/request/:id', setMockUser, async (req, res) => {
+// DELETE /api/services/request/:id - Cancel service request (requires auth)
+router.delete('/request/:id', authenticateToken, async (req, res) => {
   try {
     const request = await ServiceRequest.findById(req.params.id);
 
@@ -148,6 +158,44 @@ router.delete('/request/:id', setMockUser, async (req, res) => {
   }
 });
 
+// PATCH /api/services/request/:id/status - Update request status and handling details (admin only)
+router.patch('/request/:id/status', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { status, assignedTo, estimatedCost, actualCost, note } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ message: 'Status is required' });
+    }
+
+    const request = await ServiceRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ message: 'Service request not found' });
+    }
+
+    request.status = status;
+    if (assignedTo !== undefined) request.assignedTo = assignedTo;
+    if (estimatedCost !== undefined) request.estimatedCost = estimatedCost;
+    if (actualCost !== undefined) request.actualCost = actualCost;
+    if (note) {
+      request.notes.push({ message: note, addedBy: req.user.name });
+    }
+
+    await request.save();
+    await request.populate('user', 'name email');
+
+    res.json({
+      message: 'Service request status updated successfully',
+      data: { request }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid service request ID format' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
 // GET /api/services/types - Get available service types
 router.get('/types', (req, res) => {
   const serviceTypes = [
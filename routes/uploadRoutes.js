@@ -0,0 +1,42 @@
+// backend/routes/uploadRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { receiveImages } = require('../middleware/upload');
+const { storeListingImage, deleteListingImage } = require('../utils/images');
+
+// POST /api/uploads/images - Upload listing photos (multipart field "images",
+// requires auth). Returns image records to put in a listing's images array.
+router.post('/images', authenticateToken, receiveImages('images'), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ message: 'Please attach at least one image' });
+  }
+
+  const images = [];
+  try {
+    for (const file of req.files) {
+      images.push(await storeListingImage(file.buffer, { ownerId: req.user._id }));
+    }
+
+    res.status(201).json({
+      message: 'Images uploaded successfully',
+      data: { images }
+    });
+  } catch (error) {
+    // Don't leave the photos stored before the failure behind
+    await Promise.all(images.map(image => deleteListingImage(image.storageKey).catch(() => {})));
+
+    if (error.name === 'InvalidImageError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Error uploading images:', error);
+    res.status(500).json({
+      message: 'Error uploading images',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,67 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { setMockUser, getMockUser } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const { LISTING_STATUSES, legacyStatus } = require('../models/vehicleSchema');
+const { withCoverImage } = require('../utils/images');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { signAccessToken, signActionToken, verifyActionToken, hashTokenId } = require('../utils/tokens');
+const { sendMail, appUrl } = require('../utils/mailer');
+const { getDeviceInfo, startSession } = require('../utils/sessions');
 
-// POST /api/auth/signup - Register a new user (simplified without JWT)
+// Roles a user can pick for themselves at signup; dealer and admin are granted by an admin
+const SELF_ASSIGNABLE_ROLES = ['buyer', 'seller'];
+
+// Profile fields a user may update directly through PUT /api/auth/profile
+const PROFILE_FIELDS = [
+  'name',
+  'phone',
+  'gender',
+  'location',
+  'avatar',
+  'preferredLanguage',
+  'notificationPreferences'
+];
+
+// Failed password logins allowed from one IP address within the window (ms)
+const IP_LOGIN_LIMIT = {
+  maxFailures: 30,
+  window: 15 * 60 * 1000
+};
+
+// Reply to a blocked login with a Retry-After header (423 locked, 429 throttled)
+const sendLoginBlocked = (res, status, message, retryAfterMs) => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(status).json({ message, retryAfter });
+};
+
+// Issue a single-use email verification token and mail it to the user
+const sendVerificationEmail = async (user) => {
+  const { token, tokenId } = signActionToken(user, 'email-verification', '24h');
+  user.actionTokens.emailVerification = hashTokenId(tokenId);
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your VAHAAN BAZAAR email address',
+    text: `Hi ${user.name},\n\nWelcome to VAHAAN BAZAAR! Verify your email address by opening this link within 24 hours:\n${appUrl(`/verify-email?token=${token}`)}`
+  });
+};
+
+// POST /api/auth/signup - Register a new user
 router.post('/signup', async (req, res) => {
-  const { name, email, password } = req.body;
+  const { name, email, password, phone, gender, role } = req.body;
+
+  if (!name || !email || !password) {
+    return res.status(400).json({ message: 'Name, email and password are required' });
+  }
+
+  if (role && !SELF_ASSIGNABLE_ROLES.includes(role)) {
+    return res.status(400).json({ message: 'Role must be one of: buyer, seller' });
+  }
 
   try {
     // Check if user already exists
@@ -17,19 +73,24 @@ router.post('/signup', async (req, res) => {
     }
 
     // Create new user
-    const newUser = new User({ name, email, password });
+    const newUser = new User({ name, email, password, phone, gender, role });
     const savedUser = await newUser.save();
 
-    // Return user info without token
+    const { token, refreshToken } = await startSession(savedUser, req);
+
+    // A mail failure should not fail the signup; the user can request a new link
+    try {
+      await sendVerificationEmail(savedUser);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
     res.status(201).json({
       message: 'User registered successfully',
       data: {
-        user: {
-          _id: savedUser._id,
-          name: savedUser.name,
-          email: savedUser.email,
-          createdAt: savedUser.createdAt
-        }
+        token,
+        refreshToken,
+        user: savedUser.toProfileJSON()
       }
     });
   } catch (err) {
@@ -37,33 +98,67 @@ router.post('/signup', async (req, res) => {
   }
 });
 
-// POST /api/auth/login - Login user (simplified without JWT)
+// POST /api/auth/login - Login user
 router.post('/login', async (req, res) => {
   const { email, password } = req.body;
 
+  if (!email || !password) {
+    return res.status(400).json({ message: 'Email and password are required' });
+  }
+
+  const identifier = email.trim().toLowerCase();
+
   try {
+    // Per-IP throttling against credential stuffing across many accounts
+    const ipFailures = await LoginAttempt.countFailuresByIp(
+      req.ip || req.connection.remoteAddress,
+      new Date(Date.now() - IP_LOGIN_LIMIT.window)
+    );
+    if (ipFailures >= IP_LOGIN_LIMIT.maxFailures) {
+      await LoginAttempt.record(req, { identifier, success: false, reason: 'ip-throttled' });
+      return sendLoginBlocked(res, 429, 'Too many failed login attempts from this network. Please try again later.', IP_LOGIN_LIMIT.window);
+    }
+
     // Find user by email
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email: identifier });
     if (!user) {
+      await LoginAttempt.record(req, { identifier, success: false, reason: 'invalid-credentials' });
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
+    const block = user.getLoginBlock();
+    if (block.lockedFor) {
+      await LoginAttempt.record(req, { user, identifier, success: false, reason: 'account-locked' });
+      return sendLoginBlocked(res, 423, 'Account temporarily locked after too many failed login attempts', block.lockedFor);
+    }
+    if (block.delayFor) {
+      await LoginAttempt.record(req, { user, identifier, success: false, reason: 'throttled' });
+      return sendLoginBlocked(res, 429, 'Too many failed login attempts. Please wait before trying again.', block.delayFor);
+    }
+
     // Check password
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
+      const failure = await user.registerFailedLogin();
+      await LoginAttempt.record(req, { user, identifier, success: false, reason: 'invalid-credentials' });
+
+      if (failure.lockedFor) {
+        return sendLoginBlocked(res, 423, 'Account temporarily locked after too many failed login attempts', failure.lockedFor);
+      }
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    // Return user info without token
+    await user.resetLoginFailures();
+    await LoginAttempt.record(req, { user, identifier, success: true });
+
+    const { token, refreshToken } = await startSession(user, req);
+
     res.json({
       message: 'Login successful',
       data: {
-        user: {
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          createdAt: user.createdAt
-        }
+        token,
+        refreshToken,
+        user: user.toProfileJSON()
       }
     });
   } catch (err) {
@@ -71,19 +166,297 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// GET /api/auth/profile - Get user profile (returns mock user)
-router.get('/profile', (req, res) => {
+// POST /api/auth/refresh - Rotate a refresh token and issue a new access token
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    const result = await RefreshToken.rotate(refreshToken, { device: getDeviceInfo(req) });
+
+    if (result.error === 'reuse') {
+      return res.status(401).json({
+        message: 'Refresh token reuse detected. This session has been revoked, please log in again.'
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(result.record.user);
+    if (!user) {
+      await RefreshToken.revokeFamily(result.record.family);
+      return res.status(401).json({ message: 'User for this token no longer exists' });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      data: {
+        token: signAccessToken(user, result.record.family),
+        refreshToken: result.token
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST /api/auth/logout - End the session that owns the given refresh token
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    const record = await RefreshToken.findOne({
+      tokenHash: RefreshToken.hashToken(refreshToken)
+    });
+
+    if (record) {
+      await RefreshToken.revokeFamily(record.family, 'logout');
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST /api/auth/verify-email - Confirm an email address with the emailed token
+router.post('/verify-email', async (req, res, next) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ message: 'Token is required' });
+  }
+
+  try {
+    const decoded = verifyActionToken(token, 'email-verification');
+    const user = await User.findById(decoded.sub).select('+actionTokens.emailVerification');
+
+    if (!user || user.actionTokens.emailVerification !== hashTokenId(decoded.jti)) {
+      return res.status(400).json({ message: 'Verification link is invalid or has already been used' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.actionTokens.emailVerification = undefined;
+    await user.save();
+
+    res.json({
+      message: 'Email verified successfully',
+      data: {
+        user: user.toProfileJSON()
+      }
+    });
+  } catch (err) {
+    // Invalid/expired tokens are mapped by the global error handler
+    next(err);
+  }
+});
+
+// POST /api/auth/verify-email/resend - Send a new verification email (requires auth)
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.email) {
+      return res.status(400).json({ message: 'No email address on this account' });
+    }
+
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link.
+// Always answers the same way so it cannot be used to discover accounts.
+router.post('/forgot-password', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  try {
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    if (user) {
+      const { token, tokenId } = signActionToken(user, 'password-reset', '1h');
+      user.actionTokens.passwordReset = hashTokenId(tokenId);
+      await user.save();
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your VAHAAN BAZAAR password',
+        text: `Hi ${user.name},\n\nReset your password by opening this link within 1 hour:\n${appUrl(`/reset-password?token=${token}`)}\n\nIf you did not ask to reset your password, you can ignore this email.`
+      });
+    }
+
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with the emailed token
+router.post('/reset-password', async (req, res, next) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).json({ message: 'Token and new password are required' });
+  }
+
+  try {
+    const decoded = verifyActionToken(token, 'password-reset');
+    const user = await User.findById(decoded.sub).select('+actionTokens.passwordReset');
+
+    if (!user || user.actionTokens.passwordReset !== hashTokenId(decoded.jti)) {
+      return res.status(400).json({ message: 'Reset link is invalid or has already been used' });
+    }
+
+    user.password = password;
+    user.actionTokens.passwordReset = undefined;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    // Receiving the reset link proves the address is reachable
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out every device that might be using the old password
+    await RefreshToken.revokeAllForUser(user._id);
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+    // Invalid/expired tokens are mapped by the global error handler
+    next(err);
+  }
+});
+
+// GET /api/auth/sessions - List the caller's active sessions/devices
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const tokens = await RefreshToken.findActiveSessions(req.user._id);
+
+    const sessions = tokens.map(token => ({
+      id: token.family,
+      device: token.device,
+      startedAt: token.sessionStartedAt,
+      lastUsedAt: token.lastUsedAt,
+      expiresAt: token.expiresAt,
+      current: token.family === req.sessionId
+    }));
+
+    res.json({
+      message: 'Sessions retrieved successfully',
+      data: { sessions }
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// DELETE /api/auth/sessions/:sessionId - Revoke one of the caller's sessions
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await RefreshToken.findOne({
+      user: req.user._id,
+      family: req.params.sessionId
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await RefreshToken.revokeFamily(req.params.sessionId);
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// DELETE /api/auth/sessions - Revoke all of the caller's other sessions
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const filter = { user: req.user._id, revokedAt: null };
+    if (req.sessionId) {
+      filter.family = { $ne: req.sessionId };
+    }
+
+    const result = await RefreshToken.updateMany(filter, {
+      revokedAt: new Date(),
+      revokedReason: 'revoked'
+    });
+
+    res.json({
+      message: 'Other sessions revoked successfully',
+      data: { revokedCount: result.modifiedCount }
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /api/auth/profile - Get the authenticated user's profile
+router.get('/profile', authenticateToken, (req, res) => {
   try {
-    const mockUser = getMockUser();
     res.json({
       message: 'Profile retrieved successfully',
       data: {
-        user: {
-          _id: mockUser._id,
-          name: mockUser.name,
-          email: mockUser.email,
-          phone: mockUser.phone,
-          createdAt: new Date().toISOString()
+        user: req.user.toProfileJSON()
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /api/auth/profile/login-history - Recent login attempts on the caller's account
+router.get('/profile/login-history', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { user: req.user._id };
+
+    const attempts = await LoginAttempt.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('method success reason ipAddress userAgent createdAt');
+
+    const total = await LoginAttempt.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      message: 'Login history retrieved successfully',
+      data: {
+        attempts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
         }
       }
     });
@@ -92,32 +465,141 @@ router.get('/profile', (req, res) => {
   }
 });
 
-// PUT /api/auth/profile - Update user profile (simplified)
-router.put('/profile', async (req, res) => {
+// PUT /api/auth/profile - Update the authenticated user's profile
+router.put('/profile', authenticateToken, async (req, res) => {
   try {
-    const { name, email } = req.body;
-    
-    // For simplicity, we'll just return the updated mock user
-    const mockUser = getMockUser();
-    const updatedUser = {
-      ...mockUser,
-      name: name || mockUser.name,
-      email: email || mockUser.email
-    };
+    const { email } = req.body;
+
+    if (email && email.toLowerCase() !== req.user.email) {
+      return res.status(400).json({
+        message: 'Email cannot be changed here. Use POST /api/auth/profile/email to request a change.'
+      });
+    }
+
+    PROFILE_FIELDS.forEach(field => {
+      const value = req.body[field];
+      if (value === undefined) return;
+
+      // Merge nested objects (location, notificationPreferences) key by key
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, nestedValue]) => {
+          req.user.set(`${field}.${key}`, nestedValue);
+        });
+      } else {
+        req.user.set(field, value);
+      }
+    });
+
+    const updatedUser = await req.user.save();
 
     res.json({
       message: 'Profile updated successfully',
       data: {
-        user: updatedUser
+        user: updatedUser.toProfileJSON()
       }
     });
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
     res.status(400).json({ message: err.message });
   }
 });
 
-// GET /api/users - List all users (for dev/test only)
-router.get('/', async (req, res) => {
+// POST /api/auth/profile/email - Request an email change; the new address
+// only replaces the current one after it has been verified
+router.post('/profile/email', authenticateToken, async (req, res) => {
+  const { newEmail, password } = req.body;
+
+  if (!newEmail || !password) {
+    return res.status(400).json({ message: 'New email and current password are required' });
+  }
+
+  try {
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.matchPassword(password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    const normalizedEmail = newEmail.trim().toLowerCase();
+    if (normalizedEmail === user.email) {
+      return res.status(400).json({ message: 'New email is the same as the current email' });
+    }
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    const { token, tokenId } = signActionToken(user, 'email-change', '24h');
+    user.pendingEmail = normalizedEmail;
+    user.actionTokens.emailChange = hashTokenId(tokenId);
+    await user.save();
+
+    await sendMail({
+      to: normalizedEmail,
+      subject: 'Confirm your new VAHAAN BAZAAR email address',
+      text: `Hi ${user.name},\n\nConfirm your new email address by opening this link within 24 hours:\n${appUrl(`/confirm-email?token=${token}`)}\n\nIf you did not request this change, you can ignore this email.`
+    });
+
+    res.json({
+      message: 'Verification email sent to the new address',
+      data: { pendingEmail: normalizedEmail }
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST /api/auth/profile/email/confirm - Confirm an email change with the emailed token
+router.post('/profile/email/confirm', async (req, res, next) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ message: 'Token is required' });
+  }
+
+  try {
+    const decoded = verifyActionToken(token, 'email-change');
+    const user = await User.findById(decoded.sub).select('+actionTokens.emailChange');
+
+    if (!user || !user.pendingEmail || user.actionTokens.emailChange !== hashTokenId(decoded.jti)) {
+      return res.status(400).json({ message: 'Email change link is invalid or has already been used' });
+    }
+
+    const existingUser = await User.findOne({ email: user.pendingEmail });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    user.email = user.pendingEmail;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.pendingEmail = undefined;
+    user.actionTokens.emailChange = undefined;
+    await user.save();
+
+    res.json({
+      message: 'Email updated successfully',
+      data: {
+        user: user.toProfileJSON()
+      }
+    });
+  } catch (err) {
+    // Invalid/expired tokens are mapped by the global error handler
+    next(err);
+  }
+});
+
+// GET /api/users - List all users (admin only)
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const users = await User.find().select('-password'); // hide passwords
     res.json({
@@ -129,6 +611,71 @@ router.get('/', async (req, res) => {
   }
 });
 
-module.exports = router;
+// GET /api/users/me/listings - All vehicles listed by the caller, grouped by
+// category (bikes, scooters, cars), with their lifecycle status
+router.get('/me/listings', authenticateToken, async (req, res) => {
+  try {
+    const filter = { seller: req.user._id };
+
+    // Listings saved before statuses existed have none stored yet
+    const withStatus = (listing) => ({
+      ...withCoverImage(listing),
+      status: listing.status || legacyStatus(listing)
+    });
+
+    const listings = {};
+    for (const Model of Object.values(VEHICLE_CATEGORIES)) {
+      const categoryListings = await Model.find(filter).sort({ createdAt: -1 }).lean();
+      listings[Model.collection.name] = categoryListings.map(withStatus);
+    }
+
+    const summary = { total: 0, ...Object.fromEntries(LISTING_STATUSES.map(status => [status, 0])) };
+    Object.values(listings).flat().forEach(listing => {
+      summary.total += 1;
+      summary[listing.status] += 1;
+    });
+
+    res.json({
+      message: 'Listings retrieved successfully',
+      data: {
+        ...listings,
+        summary
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PATCH /api/users/:id/role - Change a user's role (admin only)
+router.patch('/:id/role', authenticateToken, requireRole('admin'), async (req, res) => {
+  const { role } = req.body;
+
+  if (!role) {
+    return res.status(400).json({ message: 'Role is required' });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: 'User role updated successfully',
+      data: { user: user.toProfileJSON() }
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+    res.status(400).json({ message: err.message });
+  }
+});
 
 module.exports = router;
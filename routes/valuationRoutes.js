@@ -0,0 +1,107 @@
+// backend/routes/valuationRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const { estimateMarketPrice, marketPosition } = require('../utils/valuation');
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+// Check and normalise the vehicle description; returns { vehicle } or { error }
+const parseVehicle = (body = {}) => {
+  if (!Object.hasOwn(VEHICLE_CATEGORIES, body.category)) {
+    return { error: `Invalid category. Must be one of: ${Object.keys(VEHICLE_CATEGORIES).join(', ')}` };
+  }
+  const Model = VEHICLE_CATEGORIES[body.category];
+
+  const brand = typeof body.brand === 'string' ? body.brand.trim() : '';
+  if (!brand) {
+    return { error: 'Brand is required' };
+  }
+
+  const year = toNumber(body.year);
+  const maxYear = new Date().getFullYear() + 1;
+  if (!Number.isInteger(year) || year < 2000 || year > maxYear) {
+    return { error: `Year must be a whole number between 2000 and ${maxYear}` };
+  }
+
+  const conditions = Model.schema.path('condition').enumValues;
+  const condition = body.condition || 'Good';
+  if (!conditions.includes(condition)) {
+    return { error: `Condition must be one of: ${conditions.join(', ')}` };
+  }
+
+  const types = Model.schema.path(Model.typeField).enumValues;
+  if (body.type && !types.includes(body.type)) {
+    return { error: `Invalid ${body.category} type. Must be one of: ${types.join(', ')}` };
+  }
+
+  const numbers = {
+    daysUsed: toNumber(body.daysUsed),
+    mileage: toNumber(body.mileage),
+    originalPrice: toNumber(body.originalPrice),
+    askingPrice: toNumber(body.askingPrice)
+  };
+  for (const [field, value] of Object.entries(numbers)) {
+    if (value !== undefined && (!Number.isFinite(value) || value < 0)) {
+      return { error: `${field} must be a non-negative number` };
+    }
+  }
+
+  return {
+    vehicle: {
+      category: body.category,
+      brand,
+      model: typeof body.model === 'string' && body.model.trim() ? body.model.trim() : undefined,
+      year,
+      condition,
+      type: body.type || undefined,
+      city: typeof body.city === 'string' && body.city.trim() ? body.city.trim() : undefined,
+      daysUsed: numbers.daysUsed,
+      mileage: numbers.mileage,
+      originalPrice: numbers.originalPrice
+    },
+    askingPrice: numbers.askingPrice
+  };
+};
+
+// POST /api/valuation - Estimate the market price of a used vehicle from
+// comparable listings { category, brand, model, year, condition, daysUsed,
+// mileage, type, city, originalPrice, askingPrice }. With askingPrice the
+// response also says whether it is below, at or above market.
+router.post('/', async (req, res) => {
+  const parsed = parseVehicle(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
+  }
+  const { vehicle, askingPrice } = parsed;
+
+  try {
+    const valuation = await estimateMarketPrice(vehicle);
+
+    if (!valuation) {
+      return res.status(400).json({
+        message: 'Not enough comparable listings for an estimate. Provide originalPrice (the price when new) to use depreciation instead'
+      });
+    }
+
+    res.json({
+      message: 'Valuation calculated successfully',
+      data: {
+        vehicle,
+        valuation: {
+          ...valuation,
+          position: askingPrice !== undefined ? marketPosition(askingPrice, valuation) : undefined
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error calculating valuation:', error);
+    res.status(500).json({
+      message: 'Error calculating valuation',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+// backend/routes/vehicleRoutes.js
+
+const express = require('express');
+const mongoose = require('mongoose');
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const { optionalAuth } = require('../middleware/auth');
+const { withCoverImage } = require('../utils/images');
+const { buildTextSearch } = require('../utils/search');
+const { buildListingSelections } = require('../utils/listingFilters');
+const { UNPUBLISHED_STATUSES, canView } = require('../utils/listingStatus');
+
+const router = express.Router();
+
+const FUEL_TYPES = {
+  petrol: 'Petrol',
+  diesel: 'Diesel',
+  cng: 'CNG',
+  electric: 'Electric',
+  hybrid: 'Hybrid'
+};
+
+// Sort keys accepted by ?sort=, mapped to document fields
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  price: 'presentPrice',
+  presentPrice: 'presentPrice',
+  year: 'year',
+  mileage: 'mileage',
+  viewCount: 'viewCount',
+  priceDroppedAt: 'priceDroppedAt'
+};
+
+const MAX_LIMIT = 50;
+
+// Parse ?category= (or the documented ?type= alias); accepts a comma-separated list
+const parseCategories = (query) => {
+  const requested = query.category || query.type;
+  if (!requested) return Object.keys(VEHICLE_CATEGORIES);
+
+  return String(requested)
+    .split(',')
+    .map(category => category.trim().toLowerCase())
+    .filter(category => Object.hasOwn(VEHICLE_CATEGORIES, category));
+};
+
+// Build the $match stage for one category; fuel type is stored on each
+// model's typeField ('type' for two-wheelers, 'fuelType' for cars).
+// textSearch is the $text operator built from ?search=, if any.
+const buildFilter = (query, Model, textSearch) => {
+  const filter = {
+    isActive: true,
+    availability: query.availability || 'available'
+  };
+
+  Object.assign(filter, ...Object.values(buildListingSelections(query)));
+
+  const fuelType = String(query.fuelType || '').toLowerCase();
+  if (Object.hasOwn(FUEL_TYPES, fuelType)) {
+    filter[Model.typeField] = FUEL_TYPES[fuelType];
+  }
+
+  if (textSearch) {
+    filter.$text = textSearch;
+  }
+
+  if (query.recentlyReduced === 'true') {
+    Object.assign(filter, Model.recentlyReducedFilter());
+  }
+
+  return filter;
+};
+
+// Parse ?sort= (a field, optionally prefixed with "-") and ?order=asc|desc.
+// Text searches are ranked by relevance unless a sort is requested.
+const buildSort = (query, textSearch) => {
+  if (textSearch && !query.sort) {
+    return { score: -1, _id: -1 };
+  }
+
+  const rawSort = String(query.sort || '-createdAt');
+  const descending = rawSort.startsWith('-');
+  const sortKey = rawSort.replace(/^-/, '');
+  const field = Object.hasOwn(SORT_FIELDS, sortKey) ? SORT_FIELDS[sortKey] : 'createdAt';
+
+  let direction = descending ? -1 : 1;
+  if (query.order === 'asc') direction = 1;
+  if (query.order === 'desc') direction = -1;
+
+  // _id keeps the order stable across pages
+  return { [field]: direction, _id: direction };
+};
+
+// GET /api/vehicles - Search bikes, scooters, cars and other categories together
+router.get('/', async (req, res) => {
+  try {
+    const categories = parseCategories(req.query);
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), MAX_LIMIT);
+    const skip = (pageNum - 1) * limitNum;
+
+    if (categories.length === 0) {
+      return res.status(400).json({
+        message: `Invalid vehicle category. Must be one of: ${Object.keys(VEHICLE_CATEGORIES).join(', ')}`
+      });
+    }
+
+    const textSearch = req.query.search
+      ? await buildTextSearch(categories.map(category => VEHICLE_CATEGORIES[category]), req.query.search)
+      : null;
+
+    // $text must be the first stage of each category's pipeline
+    const categoryPipeline = (category) => [
+      { $match: buildFilter(req.query, VEHICLE_CATEGORIES[category], textSearch) },
+      { $addFields: textSearch ? { category, score: { $meta: 'textScore' } } : { category } },
+      VEHICLE_CATEGORIES[category].hiddenFieldsStage()
+    ];
+
+    // Query the first category and union the others into the same result set
+    const [firstCategory, ...otherCategories] = categories;
+    const pipeline = [
+      ...categoryPipeline(firstCategory),
+      ...otherCategories.map(category => ({
+        $unionWith: {
+          coll: VEHICLE_CATEGORIES[category].collection.name,
+          pipeline: categoryPipeline(category)
+        }
+      })),
+      { $sort: buildSort(req.query, textSearch) },
+      {
+        $facet: {
+          vehicles: [{ $skip: skip }, { $limit: limitNum }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ];
+
+    const [result] = await VEHICLE_CATEGORIES[firstCategory].aggregate(pipeline);
+    const totalCount = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      message: 'Vehicles retrieved successfully',
+      data: {
+        vehicles: result.vehicles.map(withCoverImage),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching vehicles:', error);
+    res.status(500).json({
+      message: 'Error fetching vehicles',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/vehicles/:id - Get a single vehicle from whichever category holds it;
+// drafts and listings waiting for review are only shown to their seller and admins
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        message: 'Invalid vehicle ID format'
+      });
+    }
+
+    for (const [category, Model] of Object.entries(VEHICLE_CATEGORIES)) {
+      const vehicle = await Model.findById(req.params.id).populate('seller', 'name avatar');
+
+      if (vehicle) {
+        if (!canView(vehicle, req.user)) break;
+
+        if (!UNPUBLISHED_STATUSES.includes(vehicle.status)) {
+          await vehicle.incrementViewCount();
+        }
+
+        return res.json({
+          message: 'Vehicle retrieved successfully',
+          data: {
+            ...vehicle.toJSON(),
+            category
+          }
+        });
+      }
+    }
+
+    res.status(404).json({
+      message: 'Vehicle not found'
+    });
+  } catch (error) {
+    console.error('Error fetching vehicle:', error);
+    res.status(500).json({
+      message: 'Error fetching vehicle',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,28 +4,63 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const userRoutes = require('./routes/userRoutes');
+const otpRoutes = require('./routes/otpRoutes');
 const serviceRoutes = require('./routes/serviceRoutes');
 const feedbackRoutes = require('./routes/feedbackRoutes');
 const bikeRoutes = require('./routes/bikeRoutes');
 const scooterRoutes = require('./routes/scooterRoutes');
+const carRoutes = require('./routes/carRoutes');
+const vehicleRoutes = require('./routes/vehicleRoutes');
+const searchRoutes = require('./routes/searchRoutes');
 const contactRoutes = require('./routes/contactRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const favouriteRoutes = require('./routes/favouriteRoutes');
+const valuationRoutes = require('./routes/valuationRoutes');
+const offerRoutes = require('./routes/offerRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
+const appointmentRoutes = require('./routes/appointmentRoutes');
+const realtimeRoutes = require('./routes/realtimeRoutes');
 const apiDocs = require('./routes/apiDocs');
+const { getDriverName, getLocalUploadDir } = require('./utils/storage');
+const { checkTransport } = require('./utils/mailer');
+const { checkProvider } = require('./utils/sms');
+const { startSavedSearchAlerts } = require('./utils/savedSearchAlerts');
+const { startFavouriteAlerts } = require('./utils/favouriteAlerts');
+const { startMarketPriceUpdates } = require('./utils/marketPriceUpdates');
+const { startRealtimeEvents } = require('./utils/realtimeEvents');
+const { closeAllClients } = require('./utils/realtime');
+const { startJobs } = require('./jobs');
 
 require('dotenv').config();
 
+// Refuse to start in production without a real mail transport and SMS
+// provider
+checkTransport();
+checkProvider();
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI;
 
+// Listing event subscribers
+startSavedSearchAlerts();
+startFavouriteAlerts();
+startMarketPriceUpdates();
+startRealtimeEvents();
+
 // Security and performance middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
-  console.log(`${timestamp} - ${req.method} ${req.originalUrl}`);
+  // Access tokens sent in the query (realtime stream) are kept out of the log
+  const url = req.originalUrl.replace(/([?&]access_token=)[^&]*/, '$1[redacted]');
+  console.log(`${timestamp} - ${req.method} ${url}`);
   next();
 });
 
@@ -38,6 +73,7 @@ mongoose.connect(MONGODB_URI, {
 .then(() => {
   console.log('✅ MongoDB connected successfully');
   console.log(`📊 Database: ${mongoose.connection.name}`);
+  startJobs();
 })
 .catch((err) => {
   console.error('❌ MongoDB connection error:', err);
@@ -58,15 +94,33 @@ mongoose.connection.on('reconnected', () => {
 });
 
 // API Routes
+app.use('/api/auth/otp', otpRoutes);
 app.use('/api/auth', userRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/feedback', feedbackRoutes);
 app.use('/api/bikes', bikeRoutes);
 app.use('/api/scooters', scooterRoutes);
+app.use('/api/cars', carRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/search', searchRoutes);
 app.use('/api/contacts', contactRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/favourites', favouriteRoutes);
+app.use('/api/valuation', valuationRoutes);
+app.use('/api/offers', offerRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/realtime', realtimeRoutes);
 app.use('/api/docs', apiDocs);
 
+// Uploaded photos stored on local disk
+if (getDriverName() === 'local') {
+  app.use('/uploads', express.static(getLocalUploadDir(), { maxAge: '365d', immutable: true }));
+}
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
@@ -89,8 +143,19 @@ app.get('/', (req, res) => {
       users: '/api/users',
       bikes: '/api/bikes',
       scooters: '/api/scooters',
+      cars: '/api/cars',
+      uploads: '/api/uploads',
+      savedSearches: '/api/saved-searches',
+      notifications: '/api/notifications',
+      favourites: '/api/favourites',
+      valuation: '/api/valuation',
+      offers: '/api/offers',
+      conversations: '/api/conversations',
+      appointments: '/api/appointments',
+      realtime: '/api/realtime/events',
       contacts: '/api/contacts',
       vehicles: '/api/vehicles',
+      search: '/api/search',
       reviews: '/api/reviews',
       services: '/api/services',
       feedback: '/api/feedback',
@@ -160,14 +225,26 @@ const server = app.listen(PORT, () => {
   console.log('   - GET  /api/health          (Health check)');
   console.log('   - POST /api/auth/signup     (User registration)');
   console.log('   - POST /api/auth/login      (User login)');
+  console.log('   - POST /api/auth/otp/request (Phone OTP login)');
   console.log('   - GET  /api/bikes           (Get bikes)');
   console.log('   - POST /api/bikes           (Create bike listing)');
   console.log('   - GET  /api/scooters        (Get scooters)');
   console.log('   - POST /api/scooters        (Create scooter listing)');
+  console.log('   - GET  /api/cars            (Get cars)');
+  console.log('   - POST /api/cars            (Create car listing)');
   console.log('   - GET  /api/contacts        (Get contacts)');
   console.log('   - POST /api/contacts        (Create contact message)');
-  console.log('   - GET  /api/vehicles        (Get vehicles)');
-  console.log('   - POST /api/vehicles        (Create vehicle)');
+  console.log('   - POST /api/uploads/images  (Upload listing photos)');
+  console.log('   - GET  /api/vehicles        (Search all vehicles)');
+  console.log('   - GET  /api/search/suggest  (Search suggestions)');
+  console.log('   - GET  /api/saved-searches  (Saved searches)');
+  console.log('   - GET  /api/notifications   (Notifications)');
+  console.log('   - GET  /api/favourites      (Favourite listings)');
+  console.log('   - POST /api/valuation       (Estimate market price)');
+  console.log('   - GET  /api/offers          (Offers and negotiations)');
+  console.log('   - GET  /api/conversations   (Buyer-seller messages)');
+  console.log('   - GET  /api/appointments    (Viewings and test rides)');
+  console.log('   - GET  /api/realtime/events (Live updates stream)');
   console.log('   - GET  /api/reviews         (Get reviews)');
   console.log('   - POST /api/services/request (Service request)');
   console.log('   - GET  /api/feedback        (Get feedback)');
@@ -177,6 +254,8 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   console.log('\n🚨 SIGTERM received. Starting graceful shutdown...');
+  // Open event streams would keep the server from closing
+  closeAllClients();
   server.close(() => {
     console.log('💫 HTTP server closed.');
     mongoose.connection.close(false, () => {
@@ -188,6 +267,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('\n🚨 SIGINT received. Starting graceful shutdown...');
+  // Open event streams would keep the server from closing
+  closeAllClients();
   server.close(() => {
     console.log('💫 HTTP server closed.');
     mongoose.connection.close(false, () => {
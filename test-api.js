@@ -3,6 +3,52 @@
 // Simple test script to verify the bike backend API
 const https = require('http');
 
+// Sign up a throwaway seller account and log in with it; creating listings
+// requires a logged-in user. Returns the access token.
+const signUpAndLogIn = async (name) => {
+  const credentials = {
+    email: `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`,
+    password: 'test-password'
+  };
+
+  const signup = await fetch('http://localhost:5000/api/auth/signup', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ name, role: 'seller', ...credentials })
+  });
+  if (!signup.ok) {
+    throw new Error(`Sign up failed: ${(await signup.json()).message}`);
+  }
+
+  return logIn(credentials);
+};
+
+const logIn = async ({ email, password }) => {
+  const response = await fetch('http://localhost:5000/api/auth/login', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ email, password })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`Log in failed: ${data.message}`);
+  }
+  return data.data.token;
+};
+
+// Stats are admin only; set TEST_ADMIN_EMAIL and TEST_ADMIN_PASSWORD to an
+// admin account to test them
+const logInAdmin = () => {
+  if (!process.env.TEST_ADMIN_EMAIL || !process.env.TEST_ADMIN_PASSWORD) {
+    return null;
+  }
+  return logIn({ email: process.env.TEST_ADMIN_EMAIL, password: process.env.TEST_ADMIN_PASSWORD });
+};
+
 const testAPI = async () => {
   console.log('🧪 Testing Bike Selling Backend API...\n');
 
@@ -27,6 +73,16 @@ const testAPI = async () => {
     console.log('❌ Get Bikes Failed:', error.message);
   }
 
+  // Log in as a test seller
+  console.log('\n🔑 Signing up a test seller...');
+  let token = null;
+  try {
+    token = await signUpAndLogIn('Test User');
+    console.log('✅ Logged in as a test seller');
+  } catch (error) {
+    console.log('❌ Test Seller Failed:', error.message);
+  }
+
   // Test 3: Create Bike Listing
   console.log('\n3️⃣ Testing Create Bike Listing...');
   try {
@@ -51,7 +107,8 @@ const testAPI = async () => {
     const response = await fetch('http://localhost:5000/api/bikes', {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
       },
       body: JSON.stringify(testBike)
     });
@@ -63,16 +120,25 @@ const testAPI = async () => {
     console.log('❌ Create Bike Failed:', error.message);
   }
 
-  // Test 4: Get Bike Stats
+  // Test 4: Get Bike Stats (admin only)
   console.log('\n4️⃣ Testing Get Bike Stats...');
   try {
-    const response = await fetch('http://localhost:5000/api/bikes/stats/overview');
-    const data = await response.json();
-    console.log('✅ Bike Stats:', data.message);
-    console.log('📈 Total bikes:', data.data?.total);
-    console.log('🟢 Available:', data.data?.available);
-    console.log('⛽ Petrol:', data.data?.petrol);
-    console.log('🔋 Electric:', data.data?.electric);
+    const adminToken = await logInAdmin();
+    if (!adminToken) {
+      console.log('⏭️ Skipped: set TEST_ADMIN_EMAIL and TEST_ADMIN_PASSWORD to an admin account');
+    } else {
+      const response = await fetch('http://localhost:5000/api/bikes/stats/overview', {
+        headers: {
+          Authorization: `Bearer ${adminToken}`
+        }
+      });
+      const data = await response.json();
+      console.log('✅ Bike Stats:', data.message);
+      console.log('📈 Total bikes:', data.data?.total);
+      console.log('🟢 Available:', data.data?.available);
+      console.log('⛽ Petrol:', data.data?.petrol);
+      console.log('🔋 Electric:', data.data?.electric);
+    }
   } catch (error) {
     console.log('❌ Get Stats Failed:', error.message);
   }
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+// Simple test script to verify offers: accepting one reserves the listing
+// exactly once, even when two offers are accepted at the same time
+
+// Send a JSON request, optionally as a logged-in user; returns { status, data }
+const request = async (method, path, { token, body } = {}) => {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`http://localhost:5000/api${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, data: await response.json() };
+};
+
+// Sign up a throwaway account and log in with it; returns the access token
+const signUpAndLogIn = async (name, role) => {
+  const credentials = {
+    email: `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`,
+    password: 'test-password'
+  };
+
+  const signup = await request('POST', '/auth/signup', { body: { name, role, ...credentials } });
+  if (signup.status !== 201) {
+    throw new Error(`Sign up failed: ${signup.data.message}`);
+  }
+
+  const login = await request('POST', '/auth/login', { body: credentials });
+  if (login.status !== 200) {
+    throw new Error(`Log in failed: ${login.data.message}`);
+  }
+  return login.data.data.token;
+};
+
+const testOfferAPI = async () => {
+  console.log('🤝 Testing Offer Backend API...\n');
+
+  // Test 1: Test Accounts
+  console.log('1️⃣ Signing up a seller and two buyers...');
+  let seller, buyer, otherBuyer;
+  try {
+    [seller, buyer, otherBuyer] = await Promise.all([
+      signUpAndLogIn('Test Seller', 'seller'),
+      signUpAndLogIn('Test Buyer', 'buyer'),
+      signUpAndLogIn('Other Test Buyer', 'buyer')
+    ]);
+    console.log('✅ Logged in as seller and buyers');
+  } catch (error) {
+    console.log('❌ Test Accounts Failed:', error.message);
+    return;
+  }
+
+  // Test 2: Create Bike Listing
+  console.log('\n2️⃣ Testing Create Bike Listing...');
+  let bikeId;
+  try {
+    const { status, data } = await request('POST', '/bikes', {
+      token: seller,
+      body: {
+        name: 'Offer Test Bike',
+        brand: 'Test Brand',
+        daysUsed: 365,
+        condition: 'Good',
+        mileage: 35,
+        presentPrice: 150000,
+        pastPrice: 200000,
+        license: 'TESTOFFER1',
+        type: 'Petrol',
+        year: 2023,
+        engineCapacity: '150cc',
+        topSpeed: 120
+      }
+    });
+    console.log(status === 201 ? '✅' : '❌', 'Create Bike:', data.message);
+
+    if (data.data?.status !== 'active') {
+      console.log(`⏭️ Bike is ${data.data?.status}; offers need an active listing (is LISTING_REVIEW_REQUIRED on?)`);
+      return;
+    }
+    bikeId = data.data._id;
+  } catch (error) {
+    console.log('❌ Create Bike Failed:', error.message);
+    return;
+  }
+
+  // Test 3: Make Offers
+  console.log('\n3️⃣ Testing Make Offers (the same buyer twice at once)...');
+  let offerId, otherOfferId;
+  try {
+    const [first, second] = await Promise.all([
+      request('POST', `/bikes/${bikeId}/offers`, { token: buyer, body: { amount: 140000 } }),
+      request('POST', `/bikes/${bikeId}/offers`, { token: buyer, body: { amount: 141000 } })
+    ]);
+    const statuses = [first.status, second.status].sort();
+    console.log(statuses[0] === 201 && statuses[1] === 400 ? '✅' : '❌', 'Duplicate offer statuses:', statuses.join(', '));
+    offerId = (first.status === 201 ? first : second).data.data?.offer?._id;
+
+    const other = await request('POST', `/bikes/${bikeId}/offers`, { token: otherBuyer, body: { amount: 145000 } });
+    console.log(other.status === 201 ? '✅' : '❌', 'Other buyer offer:', other.data.message);
+    otherOfferId = other.data.data?.offer?._id;
+  } catch (error) {
+    console.log('❌ Make Offers Failed:', error.message);
+    return;
+  }
+
+  // Test 4: Accept Both Offers At Once
+  console.log('\n4️⃣ Testing Accept Both Offers At Once...');
+  let acceptedId;
+  try {
+    const [first, second] = await Promise.all([
+      request('PATCH', `/offers/${offerId}/accept`, { token: seller }),
+      request('PATCH', `/offers/${otherOfferId}/accept`, { token: seller })
+    ]);
+    const statuses = [first.status, second.status].sort();
+    console.log(statuses[0] === 200 && statuses[1] === 409 ? '✅' : '❌', 'Accept statuses:', statuses.join(', '));
+    acceptedId = first.status === 200 ? offerId : otherOfferId;
+
+    const { data } = await request('GET', `/bikes/${bikeId}`);
+    console.log(data.data?.status === 'reserved' ? '✅' : '❌', 'Bike status:', data.data?.status);
+  } catch (error) {
+    console.log('❌ Accept Offers Failed:', error.message);
+    return;
+  }
+
+  // Test 5: Reopen The Reserved Listing
+  console.log('\n5️⃣ Testing Reopen Reserved Bike...');
+  try {
+    const status = await request('PATCH', `/bikes/${bikeId}/status`, { token: seller, body: { status: 'active' } });
+    console.log(status.status === 409 ? '✅' : '❌', 'Status active:', status.data.message);
+
+    const update = await request('PUT', `/bikes/${bikeId}`, { token: seller, body: { availability: 'available' } });
+    console.log(update.data.data?.availability === 'reserved' ? '✅' : '❌', 'PUT availability:', update.data.data?.availability);
+  } catch (error) {
+    console.log('❌ Reopen Reserved Bike Failed:', error.message);
+  }
+
+  // Test 6: Cancel The Deal
+  console.log('\n6️⃣ Testing Cancel Deal...');
+  try {
+    const cancel = await request('PATCH', `/offers/${acceptedId}/cancel`, { token: seller });
+    console.log(cancel.status === 200 ? '✅' : '❌', 'Cancel Deal:', cancel.data.message);
+
+    const { data } = await request('GET', `/bikes/${bikeId}`);
+    console.log(data.data?.status === 'active' ? '✅' : '❌', 'Bike status:', data.data?.status);
+  } catch (error) {
+    console.log('❌ Cancel Deal Failed:', error.message);
+  }
+
+  // Clean up the test listing
+  await request('DELETE', `/bikes/${bikeId}`, { token: seller }).catch(() => {});
+
+  console.log('\n🎉 Offer API Testing Complete!');
+};
+
+// Check if fetch is available (Node.js 18+)
+if (typeof fetch === 'undefined') {
+  console.log('❌ This script requires Node.js 18+ with fetch support');
+  console.log('   Run: node --version to check your Node.js version');
+  process.exit(1);
+}
+
+testOfferAPI().catch(console.error);
@@ -3,6 +3,52 @@
 // Simple test script to verify the scooter backend API
 const https = require('http');
 
+// Sign up a throwaway seller account and log in with it; creating listings
+// requires a logged-in user. Returns the access token.
+const signUpAndLogIn = async (name) => {
+  const credentials = {
+    email: `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`,
+    password: 'test-password'
+  };
+
+  const signup = await fetch('http://localhost:5000/api/auth/signup', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ name, role: 'seller', ...credentials })
+  });
+  if (!signup.ok) {
+    throw new Error(`Sign up failed: ${(await signup.json()).message}`);
+  }
+
+  return logIn(credentials);
+};
+
+const logIn = async ({ email, password }) => {
+  const response = await fetch('http://localhost:5000/api/auth/login', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ email, password })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`Log in failed: ${data.message}`);
+  }
+  return data.data.token;
+};
+
+// Stats are admin only; set TEST_ADMIN_EMAIL and TEST_ADMIN_PASSWORD to an
+// admin account to test them
+const logInAdmin = () => {
+  if (!process.env.TEST_ADMIN_EMAIL || !process.env.TEST_ADMIN_PASSWORD) {
+    return null;
+  }
+  return logIn({ email: process.env.TEST_ADMIN_EMAIL, password: process.env.TEST_ADMIN_PASSWORD });
+};
+
 const testScooterAPI = async () => {
   console.log('🛵 Testing Scooter Selling Backend API...\n');
 
@@ -27,6 +73,16 @@ const testScooterAPI = async () => {
     console.log('❌ Get Scooters Failed:', error.message);
   }
 
+  // Log in as a test seller
+  console.log('\n🔑 Signing up a test seller...');
+  let token = null;
+  try {
+    token = await signUpAndLogIn('Test User');
+    console.log('✅ Logged in as a test seller');
+  } catch (error) {
+    console.log('❌ Test Seller Failed:', error.message);
+  }
+
   // Test 3: Create Scooter Listing
   console.log('\n3️⃣ Testing Create Scooter Listing...');
   try {
@@ -51,7 +107,8 @@ const testScooterAPI = async () => {
     const response = await fetch('http://localhost:5000/api/scooters', {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
       },
       body: JSON.stringify(testScooter)
     });
@@ -90,7 +147,8 @@ const testScooterAPI = async () => {
     const response = await fetch('http://localhost:5000/api/scooters', {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
       },
       body: JSON.stringify(testElectricScooter)
     });
@@ -102,16 +160,25 @@ const testScooterAPI = async () => {
     console.log('❌ Create Electric Scooter Failed:', error.message);
   }
 
-  // Test 5: Get Scooter Stats
+  // Test 5: Get Scooter Stats (admin only)
   console.log('\n5️⃣ Testing Get Scooter Stats...');
   try {
-    const response = await fetch('http://localhost:5000/api/scooters/stats/overview');
-    const data = await response.json();
-    console.log('✅ Scooter Stats:', data.message);
-    console.log('📈 Total scooters:', data.data?.total);
-    console.log('🟢 Available:', data.data?.available);
-    console.log('⛽ Petrol:', data.data?.petrol);
-    console.log('🔋 Electric:', data.data?.electric);
+    const adminToken = await logInAdmin();
+    if (!adminToken) {
+      console.log('⏭️ Skipped: set TEST_ADMIN_EMAIL and TEST_ADMIN_PASSWORD to an admin account');
+    } else {
+      const response = await fetch('http://localhost:5000/api/scooters/stats/overview', {
+        headers: {
+          Authorization: `Bearer ${adminToken}`
+        }
+      });
+      const data = await response.json();
+      console.log('✅ Scooter Stats:', data.message);
+      console.log('📈 Total scooters:', data.data?.total);
+      console.log('🟢 Available:', data.data?.available);
+      console.log('⛽ Petrol:', data.data?.petrol);
+      console.log('🔋 Electric:', data.data?.electric);
+    }
   } catch (error) {
     console.log('❌ Get Stats Failed:', error.message);
   }
@@ -142,7 +209,12 @@ const testScooterAPI = async () => {
   if (global.testScooterId) {
     console.log('\n8️⃣ Testing Get Specific Scooter...');
     try {
-      const response = await fetch(`http://localhost:5000/api/scooters/${global.testScooterId}`);
+      // Sent as the seller, who can also see a listing still waiting for review
+      const response = await fetch(`http://localhost:5000/api/scooters/${global.testScooterId}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
       const data = await response.json();
       console.log('✅ Get Specific Scooter:', data.message);
       console.log('🛵 Scooter Name:', data.data?.name);
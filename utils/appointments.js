@@ -0,0 +1,290 @@
+// backend/utils/appointments.js
+
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const AvailabilitySlot = require('../models/AvailabilitySlot');
+const User = require('../models/User');
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const events = require('./events');
+const { notify } = require('./notifications');
+
+// Error thrown when an appointment can't be booked or moved on; status is
+// the HTTP status to answer with
+const appointmentError = (message, status = 400) => {
+  const error = new Error(message);
+  error.name = 'AppointmentError';
+  error.status = status;
+  return error;
+};
+
+const TYPE_LABELS = { 'test-ride': 'Test ride', inspection: 'Inspection' };
+
+// Appointment times are shown in Indian time
+const formatTime = (date) => new Date(date).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+// e.g. "Test ride of Pulsar NS200 on 21 Oct 2026, 6:30 pm"
+const describeAppointment = (appointment) =>
+  `${TYPE_LABELS[appointment.type]} of ${appointment.listingTitle} on ${formatTime(appointment.startsAt)}`;
+
+// Notification sent to the other side for each step; steps without one are
+// only announced on the event bus
+const NOTIFICATIONS = {
+  book: (appointment) => ({
+    type: 'appointment-booked',
+    title: `New ${TYPE_LABELS[appointment.type].toLowerCase()} booking`,
+    message: `${describeAppointment(appointment)}. Please confirm it.`
+  }),
+  confirm: (appointment) => ({
+    type: 'appointment-confirmed',
+    title: `${TYPE_LABELS[appointment.type]} confirmed`,
+    message: `${describeAppointment(appointment)} is confirmed.`
+  }),
+  reschedule: (appointment) => ({
+    type: 'appointment-rescheduled',
+    title: `${TYPE_LABELS[appointment.type]} rescheduled`,
+    message: `New time: ${describeAppointment(appointment)}. Please confirm it.`
+  }),
+  cancel: (appointment) => ({
+    type: 'appointment-cancelled',
+    title: `${TYPE_LABELS[appointment.type]} cancelled`,
+    message: `${describeAppointment(appointment)} was cancelled.${appointment.cancelReason ? ` Reason: ${appointment.cancelReason}` : ''}`
+  }),
+  'no-show': (appointment) => ({
+    type: 'appointment-no-show',
+    title: 'Marked as a no-show',
+    message: `You were marked as not turning up for: ${describeAppointment(appointment)}.`
+  })
+};
+
+// Notify one side of an appointment; failures are logged, not thrown
+const notifyParty = async (appointment, role, content) => {
+  try {
+    const recipient = await User.findById(appointment[role]._id).select('name email notificationPreferences');
+    if (!recipient) return;
+
+    await notify(recipient, {
+      ...content,
+      link: `/appointments/${appointment._id}`,
+      data: { appointment: appointment._id, category: appointment.category, listing: appointment.listing }
+    });
+  } catch (error) {
+    console.error('Error sending appointment notification:', error);
+  }
+};
+
+const otherSide = (role) => (role === 'buyer' ? 'seller' : 'buyer');
+
+// Announce a step on the event bus and notify the other side
+const announceStep = async (appointment, action, actorRole) => {
+  events.emit('appointment:updated', { appointment, action, by: actorRole });
+
+  if (NOTIFICATIONS[action]) {
+    await notifyParty(appointment, otherSide(actorRole), NOTIFICATIONS[action](appointment));
+  }
+};
+
+// Claim a free future slot for an appointment; returns the slot or null
+const claimSlot = (slotId, appointmentId) => AvailabilitySlot.findOneAndUpdate(
+  { _id: slotId, appointment: null, startsAt: { $gt: new Date() } },
+  { appointment: appointmentId },
+  { new: true }
+);
+
+const releaseSlot = (slotId, appointmentId) => AvailabilitySlot.updateOne(
+  { _id: slotId, appointment: appointmentId },
+  { appointment: null }
+);
+
+// Move an appointment on, provided it still has one of the expected statuses
+const transition = async (appointment, expectedStatuses, update) => {
+  const updated = await Appointment.findOneAndUpdate(
+    { _id: appointment._id, status: { $in: expectedStatuses } },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    throw appointmentError('Appointment was changed by someone else; reload it and try again', 409);
+  }
+  return updated;
+};
+
+const assertActive = (appointment) => {
+  if (!Appointment.ACTIVE_STATUSES.includes(appointment.status)) {
+    throw appointmentError(`Appointment is already ${appointment.status}`, 409);
+  }
+};
+
+// Book a slot for a buyer. The slot is claimed with a conditional update, so
+// of two buyers booking it at once only one gets it.
+const bookSlot = async (slot, buyerId, { type, note } = {}) => {
+  if (slot.startsAt <= new Date()) {
+    throw appointmentError('This slot has already started');
+  }
+  if (slot.seller.toString() === buyerId.toString()) {
+    throw appointmentError('You cannot book your own listing');
+  }
+
+  const Model = VEHICLE_CATEGORIES[slot.category];
+  const listing = await Model.findOne({ _id: slot.listing, isActive: true }).select('name availability');
+  if (!listing || listing.availability !== 'available') {
+    throw appointmentError('This listing is no longer available', 409);
+  }
+
+  const conflicts = await Appointment.findConflicts(buyerId, slot.startsAt, slot.endsAt);
+  if (conflicts.length > 0) {
+    throw appointmentError('You already have an appointment at that time', 409);
+  }
+
+  const appointmentId = new mongoose.Types.ObjectId();
+  const claimed = await claimSlot(slot._id, appointmentId);
+  if (!claimed) {
+    throw appointmentError('This slot is already booked', 409);
+  }
+
+  let appointment;
+  try {
+    appointment = await Appointment.create({
+      _id: appointmentId,
+      category: slot.category,
+      listing: slot.listing,
+      listingTitle: listing.name,
+      slot: slot._id,
+      buyer: buyerId,
+      seller: slot.seller,
+      type,
+      note,
+      startsAt: claimed.startsAt,
+      endsAt: claimed.endsAt
+    });
+  } catch (error) {
+    await releaseSlot(slot._id, appointmentId);
+    throw error;
+  }
+
+  await announceStep(appointment, 'book', 'buyer');
+  return appointment;
+};
+
+// The seller confirms a pending appointment
+const confirmAppointment = async (appointment, role) => {
+  if (role !== 'seller') {
+    throw appointmentError('Only the seller can confirm an appointment', 403);
+  }
+  if (appointment.status !== 'pending') {
+    throw appointmentError(`Appointment is already ${appointment.status}`, 409);
+  }
+  if (appointment.startsAt <= new Date()) {
+    throw appointmentError('This appointment has already started');
+  }
+
+  const updated = await transition(appointment, ['pending'], { status: 'confirmed' });
+  await announceStep(updated, 'confirm', role);
+  return updated;
+};
+
+// Either side cancels; the slot can be booked again
+const cancelAppointment = async (appointment, role, { reason } = {}) => {
+  assertActive(appointment);
+
+  const updated = await transition(appointment, Appointment.ACTIVE_STATUSES, {
+    status: 'cancelled',
+    cancelledBy: role,
+    cancelReason: reason
+  });
+
+  await releaseSlot(appointment.slot, appointment._id);
+  await announceStep(updated, 'cancel', role);
+  return updated;
+};
+
+// The buyer moves the appointment to another free slot of the same listing;
+// the seller has to confirm the new time
+const rescheduleAppointment = async (appointment, role, { slotId } = {}) => {
+  if (role !== 'buyer') {
+    throw appointmentError('Only the buyer can reschedule; the seller can cancel instead', 403);
+  }
+  assertActive(appointment);
+
+  const slot = await AvailabilitySlot.findById(slotId);
+  if (!slot || slot.listing.toString() !== appointment.listing.toString()) {
+    throw appointmentError('Slot not found for this listing', 404);
+  }
+  if (slot._id.toString() === appointment.slot.toString()) {
+    throw appointmentError('The appointment is already in this slot');
+  }
+
+  const conflicts = await Appointment.findConflicts(appointment.buyer._id, slot.startsAt, slot.endsAt, appointment._id);
+  if (conflicts.length > 0) {
+    throw appointmentError('You already have an appointment at that time', 409);
+  }
+
+  const claimed = await claimSlot(slot._id, appointment._id);
+  if (!claimed) {
+    throw appointmentError('This slot is already booked or has started', 409);
+  }
+
+  let updated;
+  try {
+    updated = await transition(appointment, Appointment.ACTIVE_STATUSES, {
+      slot: claimed._id,
+      startsAt: claimed.startsAt,
+      endsAt: claimed.endsAt,
+      status: 'pending',
+      remindersSent: [],
+      $inc: { rescheduleCount: 1 }
+    });
+  } catch (error) {
+    await releaseSlot(claimed._id, appointment._id);
+    throw error;
+  }
+
+  await releaseSlot(appointment.slot, appointment._id);
+  await announceStep(updated, 'reschedule', role);
+  return updated;
+};
+
+// Once the appointment time has come, either side can flag that the other
+// one did not turn up
+const markNoShow = async (appointment, role) => {
+  assertActive(appointment);
+  if (appointment.startsAt > new Date()) {
+    throw appointmentError('An appointment can only be marked as a no-show once it has started');
+  }
+
+  const updated = await transition(appointment, Appointment.ACTIVE_STATUSES, {
+    status: 'no-show',
+    noShow: otherSide(role)
+  });
+
+  await announceStep(updated, 'no-show', role);
+  return updated;
+};
+
+// Either side records that the appointment took place
+const completeAppointment = async (appointment, role) => {
+  assertActive(appointment);
+  if (appointment.startsAt > new Date()) {
+    throw appointmentError('An appointment can only be completed once it has started');
+  }
+
+  const updated = await transition(appointment, Appointment.ACTIVE_STATUSES, { status: 'completed' });
+  await announceStep(updated, 'complete', role);
+  return updated;
+};
+
+module.exports = {
+  TYPE_LABELS,
+  describeAppointment,
+  notifyParty,
+  bookSlot,
+  confirmAppointment,
+  cancelAppointment,
+  rescheduleAppointment,
+  markNoShow,
+  completeAppointment
+};
@@ -0,0 +1,18 @@
+// backend/utils/contactMasking.js
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Ten or more digits, optionally with a +91/0 prefix and spaces, dots or
+// dashes between them
+const PHONE_PATTERN = /(?:\+\s?\d{1,3}[\s.-]?)?(?:\d[\s.-]?){9,}\d/g;
+
+// Replace email addresses and phone numbers in free text with placeholders
+const maskContactDetails = (text) => {
+  if (!text) return text;
+  return String(text)
+    .replace(EMAIL_PATTERN, '[email hidden]')
+    .replace(PHONE_PATTERN, '[phone hidden]');
+};
+
+module.exports = {
+  maskContactDetails
+};
@@ -0,0 +1,36 @@
+// backend/utils/events.js
+
+const { EventEmitter } = require('events');
+
+// In-process event bus used to decouple models from caches and background work.
+//
+// Events:
+//   listing:created       - a listing was created, possibly as a draft;
+//                           payload { category, listing }
+//   listing:published     - a listing went active for the first time;
+//                           payload { category, listing }
+//   listing:price-changed - a listing's price was raised or lowered;
+//                           payload { category, listing, previousPrice }
+//   listing:price-dropped - a listing's price was lowered;
+//                           payload { category, listing, previousPrice }
+//   listing:status-changed - a listing's lifecycle status changed (published,
+//                           reserved, sold, expired, removed, ...); payload
+//                           { category, listing, previousStatus,
+//                           previousAvailability, previousIsActive }
+//   listing:changed       - a listing was created, or a field that suggestions
+//                           and search results depend on changed;
+//                           payload { category, listing }
+//   offer:updated         - an offer was made or moved on; payload { offer,
+//                           action (offer|counter|accept|reject|withdraw|expire|cancel),
+//                           by (buyer|seller|system) }
+//   message:created       - a message was posted; payload { conversation, message }
+//   conversation:read     - one side read the other's messages;
+//                           payload { conversation, role, readAt }
+//   appointment:updated   - a viewing / test ride was booked or moved on;
+//                           payload { appointment, action (book|confirm|
+//                           reschedule|cancel|no-show|complete), by (buyer|seller) }
+//   service-request:status-changed - a service request's status changed;
+//                           payload { request, previousStatus }
+const events = new EventEmitter();
+
+module.exports = events;
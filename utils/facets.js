@@ -0,0 +1,101 @@
+// backend/utils/facets.js
+
+// Facet counts for listing search results (?facets=true on the listing
+// routers). Each facet is counted over the current filters except the
+// buyer's own selection for that facet, so the UI can show what choosing
+// another value would return.
+
+const FACET_LIMIT = 20;
+
+// Year buckets; the last bucket runs up to next year
+const yearBoundaries = () => [2000, 2010, 2015, 2018, 2020, 2022, 2024, new Date().getFullYear() + 2];
+
+// Count listings per value of a field, most common first
+const valueFacet = (field) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT }
+];
+
+// Count listings per range of a numeric field; values past the last boundary
+// fall into the "above" bucket
+const bucketFacet = (field, boundaries) => [
+  {
+    $bucket: {
+      groupBy: `$${field}`,
+      boundaries,
+      default: 'above',
+      output: { count: { $sum: 1 } }
+    }
+  }
+];
+
+// Facet definitions for a listing category, keyed by the selection they ignore
+//   typeField    - field ?type= matches, e.g. 'type' or 'fuelType'
+//   extraFields  - category-specific exact-match filters, e.g. ['transmission']
+//   priceBuckets - lower bounds of the price ranges, ascending
+const defineFacets = ({ typeField, extraFields = [], priceBuckets }) => {
+  const facets = {
+    brand: valueFacet('brand'),
+    condition: valueFacet('condition'),
+    type: valueFacet(typeField),
+    year: bucketFacet('year', yearBoundaries()),
+    price: bucketFacet('presentPrice', priceBuckets),
+    city: valueFacet('location.city')
+  };
+
+  extraFields.forEach(field => {
+    facets[field] = valueFacet(field);
+  });
+
+  return facets;
+};
+
+// $facet stages for every facet; selections holds one filter per selected facet
+const buildFacetStages = (facets, selections) => {
+  const stages = {};
+
+  Object.entries(facets).forEach(([name, pipeline]) => {
+    const otherSelections = Object.entries(selections)
+      .filter(([selection]) => selection !== name)
+      .map(([, condition]) => condition);
+
+    stages[name] = [{ $match: Object.assign({}, ...otherSelections) }, ...pipeline];
+  });
+
+  return stages;
+};
+
+// Turn $facet output into { brand: [{ value, count }], price: [{ min, max, count }], ... };
+// bucket max values are exclusive and null for the open-ended bucket
+const formatFacets = (facets, result) => {
+  const formatted = {};
+
+  Object.entries(facets).forEach(([name, pipeline]) => {
+    const bucket = pipeline[0].$bucket;
+    const rows = result[name] || [];
+
+    if (!bucket) {
+      formatted[name] = rows.map(row => ({ value: row._id, count: row.count }));
+      return;
+    }
+
+    const { boundaries } = bucket;
+    formatted[name] = rows.map(row => {
+      if (row._id === 'above') {
+        return { min: boundaries[boundaries.length - 1], max: null, count: row.count };
+      }
+      const index = boundaries.indexOf(row._id);
+      return { min: row._id, max: boundaries[index + 1], count: row.count };
+    });
+  });
+
+  return formatted;
+};
+
+module.exports = {
+  defineFacets,
+  buildFacetStages,
+  formatFacets
+};
@@ -0,0 +1,47 @@
+// backend/utils/favouriteAlerts.js
+
+const Favourite = require('../models/Favourite');
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const events = require('./events');
+const { notify } = require('./notifications');
+
+// Tell users who favourited a listing that its price went down
+const alertFavouritedBy = async ({ category, listing, previousPrice }) => {
+  if (!listing.isActive || listing.availability !== 'available') return;
+
+  const favourites = await Favourite.find({ listing: listing._id, user: { $ne: listing.seller } })
+    .populate('user', 'name email notificationPreferences');
+
+  const link = `/${VEHICLE_CATEGORIES[category].collection.name}/${listing._id}`;
+  const message = `${listing.name} dropped from ₹${previousPrice.toLocaleString()} to ₹${listing.presentPrice.toLocaleString()}.`;
+
+  for (const favourite of favourites) {
+    if (!favourite.user) continue;
+
+    await notify(favourite.user, {
+      type: 'favourite-price-drop',
+      title: `Price drop on ${listing.name}`,
+      message,
+      link,
+      data: { category, listing: listing._id, previousPrice, price: listing.presentPrice }
+    });
+  }
+};
+
+let started = false;
+
+// Subscribe to listing price drops; call once at startup
+const startFavouriteAlerts = () => {
+  if (started) return;
+  started = true;
+
+  events.on('listing:price-dropped', (payload) => {
+    alertFavouritedBy(payload).catch(error => {
+      console.error('Error sending favourite price drop alerts:', error);
+    });
+  });
+};
+
+module.exports = {
+  startFavouriteAlerts
+};
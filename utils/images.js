@@ -0,0 +1,189 @@
+// backend/utils/images.js
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { saveFile, deleteFile, fileUrl } = require('./storage');
+
+const IMAGE_LIMITS = {
+  maxFileSize: 5 * 1024 * 1024,
+  maxFiles: 10,
+  maxPerListing: 20,
+  // Larger images are rejected before decoding
+  maxPixels: 40 * 1000 * 1000,
+  mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+  formats: ['jpeg', 'png', 'webp', 'gif']
+};
+
+// Renditions stored for every photo; each fits inside the given box
+const RENDITIONS = {
+  large: { width: 1600, height: 1600 },
+  medium: { width: 800, height: 600 },
+  thumbnail: { width: 320, height: 240 }
+};
+
+const invalidImage = (message) => {
+  const error = new Error(message);
+  error.name = 'InvalidImageError';
+  return error;
+};
+
+// Decode an uploaded file and check it really is a supported image
+const readImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: IMAGE_LIMITS.maxPixels }).metadata();
+  } catch (error) {
+    throw invalidImage('File is not a valid image');
+  }
+
+  if (!IMAGE_LIMITS.formats.includes(metadata.format)) {
+    throw invalidImage('Images must be JPEG, PNG, WebP or GIF');
+  }
+  return metadata;
+};
+
+// Resize to one rendition as JPEG. The EXIF orientation is applied first and
+// sharp drops all metadata (EXIF, GPS, ...) from the output.
+const renderImage = (buffer, { width, height }) => {
+  return sharp(buffer, { limitInputPixels: IMAGE_LIMITS.maxPixels })
+    .rotate()
+    .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 80, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+};
+
+// Storage prefix for a user's listing photos
+const listingImagePrefix = (ownerId) => `listings/${ownerId}/`;
+
+// Validate, resize and store a listing photo uploaded by ownerId. Returns the
+// image record kept in a listing's images array.
+const storeListingImage = async (buffer, { ownerId }) => {
+  await readImage(buffer);
+
+  const storageKey = `${listingImagePrefix(ownerId)}${crypto.randomUUID()}`;
+  const urls = {};
+  let size = {};
+
+  for (const [name, box] of Object.entries(RENDITIONS)) {
+    const { data, info } = await renderImage(buffer, box);
+    urls[name] = await saveFile(`${storageKey}/${name}.jpg`, data, 'image/jpeg');
+    if (name === 'large') {
+      size = { width: info.width, height: info.height };
+    }
+  }
+
+  return {
+    url: urls.large,
+    mediumUrl: urls.medium,
+    thumbnailUrl: urls.thumbnail,
+    storageKey,
+    ...size
+  };
+};
+
+// Remove every stored rendition of a photo
+const deleteListingImage = async (storageKey) => {
+  await Promise.all(
+    Object.keys(RENDITIONS).map(name => deleteFile(`${storageKey}/${name}.jpg`))
+  );
+};
+
+// Storage keys are issued as listings/<ownerId>/<uuid>; anything else (e.g.
+// a key with ../ in it) is not one of ours
+const STORAGE_KEY_PATTERN = /^listings\/([0-9a-f]{24})\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Whether a stored photo was uploaded by ownerId; only then may deleting it
+// from a listing remove the files
+const isOwnedListingImage = (image, ownerId) => {
+  const match = typeof image.storageKey === 'string' && STORAGE_KEY_PATTERN.exec(image.storageKey);
+  return Boolean(match) && match[1] === String(ownerId);
+};
+
+const isPixelSize = (value) =>
+  Number.isInteger(value) && value > 0 && value <= RENDITIONS.large.width;
+
+// Check an images array sent with a listing and build the records to store.
+// A photo with a storageKey must be one already on the listing or one
+// uploaded by the seller through /api/uploads/images; its URLs are rebuilt
+// from the key. Anything else is an external http(s) URL. Only the caption
+// and cover flag are taken as sent.
+const prepareListingImages = (images, { sellerId, current = [] }) => {
+  if (!Array.isArray(images)) {
+    throw invalidImage('Images must be an array');
+  }
+  if (images.length > IMAGE_LIMITS.maxPerListing) {
+    throw invalidImage(`A listing can have at most ${IMAGE_LIMITS.maxPerListing} photos`);
+  }
+
+  return images.map(input => {
+    const image = typeof input === 'string' ? { url: input } : input;
+    if (!image || typeof image !== 'object') {
+      throw invalidImage('Each image must be a URL or an image record');
+    }
+
+    const details = {};
+    if (image.caption !== undefined) details.caption = image.caption;
+    if (image.isCover !== undefined) details.isCover = image.isCover === true;
+
+    if (image.storageKey !== undefined && image.storageKey !== null) {
+      const existing = current.find(photo => photo.storageKey && photo.storageKey === image.storageKey);
+      if (existing) {
+        return { ...existing, ...details };
+      }
+      if (!isOwnedListingImage(image, sellerId)) {
+        throw invalidImage('Photos must be uploaded through /api/uploads/images by the seller');
+      }
+
+      return {
+        url: fileUrl(`${image.storageKey}/large.jpg`),
+        mediumUrl: fileUrl(`${image.storageKey}/medium.jpg`),
+        thumbnailUrl: fileUrl(`${image.storageKey}/thumbnail.jpg`),
+        storageKey: image.storageKey,
+        ...(isPixelSize(image.width) && isPixelSize(image.height) && { width: image.width, height: image.height }),
+        ...details
+      };
+    }
+
+    if (typeof image.url !== 'string' || !/^https?:\/\//.test(image.url.trim())) {
+      throw invalidImage('Images without a storageKey must be http(s) URLs');
+    }
+    const existing = current.find(photo => !photo.storageKey && photo.url === image.url.trim());
+    return existing ? { ...existing, ...details } : { url: image.url, ...details };
+  });
+};
+
+// Stored photos of before that are no longer in after; their files can go
+const removedListingImages = (before, after) => {
+  const kept = new Set(after.map(image => image.storageKey).filter(Boolean));
+  return before.filter(image => image.storageKey && !kept.has(image.storageKey));
+};
+
+// Replace a listing's images with the thumbnail of its cover photo for list
+// responses. Handles plain URL strings left from before the image migration.
+const withCoverImage = ({ images = [], ...listing }) => {
+  const cover = images.find(image => image.isCover) || images[0];
+  let coverImage = null;
+  if (typeof cover === 'string') {
+    coverImage = cover;
+  } else if (cover) {
+    coverImage = cover.thumbnailUrl || cover.url;
+  }
+
+  return {
+    ...listing,
+    coverImage,
+    imageCount: images.length
+  };
+};
+
+module.exports = {
+  IMAGE_LIMITS,
+  RENDITIONS,
+  storeListingImage,
+  deleteListingImage,
+  isOwnedListingImage,
+  prepareListingImages,
+  removedListingImages,
+  withCoverImage
+};
@@ -0,0 +1,53 @@
+// backend/utils/listingFilters.js
+
+const { escapeRegex } = require('./regex');
+
+const CONDITIONS = ['Excellent', 'Good', 'Fair', 'Poor'];
+
+// Query filters shared by the category lists (GET /api/bikes, ...) and the
+// combined GET /api/vehicles search, as one $match condition per facet name.
+// Each router adds its own type and category-specific filters.
+//   brand - contains, case-insensitive
+//   model - starts with, case-insensitive
+//   city (alias: location) - exact, case-insensitive
+const buildListingSelections = (query) => {
+  const selections = {};
+
+  if (query.condition && CONDITIONS.includes(query.condition)) {
+    selections.condition = { condition: query.condition };
+  }
+
+  if (query.brand) {
+    selections.brand = { brand: { $regex: escapeRegex(query.brand), $options: 'i' } };
+  }
+
+  if (query.model) {
+    selections.model = { model: { $regex: `^${escapeRegex(query.model)}`, $options: 'i' } };
+  }
+
+  if (query.minPrice || query.maxPrice) {
+    const presentPrice = {};
+    if (query.minPrice) presentPrice.$gte = parseInt(query.minPrice);
+    if (query.maxPrice) presentPrice.$lte = parseInt(query.maxPrice);
+    selections.price = { presentPrice };
+  }
+
+  if (query.minYear || query.maxYear) {
+    const year = {};
+    if (query.minYear) year.$gte = parseInt(query.minYear);
+    if (query.maxYear) year.$lte = parseInt(query.maxYear);
+    selections.year = { year };
+  }
+
+  const city = query.city || query.location;
+  if (city) {
+    selections.city = { 'location.city': { $regex: `^${escapeRegex(city)}$`, $options: 'i' } };
+  }
+
+  return selections;
+};
+
+module.exports = {
+  CONDITIONS,
+  buildListingSelections
+};
@@ -0,0 +1,70 @@
+// backend/utils/listingStatus.js
+
+const User = require('../models/User');
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const { notify } = require('./notifications');
+
+// An active listing can be renewed this many days before it expires
+const RENEWAL_WINDOW_DAYS = 7;
+
+// Statuses of listings that only their seller and admins can see
+const UNPUBLISHED_STATUSES = ['draft', 'pending-review'];
+
+// Notifications telling a seller what happened to their listing
+const NOTIFICATIONS = {
+  approved: (listing) => ({
+    type: 'listing-approved',
+    title: `${listing.name} is live`,
+    message: `Your listing ${listing.name} was approved and is now visible to buyers.`
+  }),
+  rejected: (listing, reason) => ({
+    type: 'listing-rejected',
+    title: `${listing.name} was not approved`,
+    message: `Your listing ${listing.name} was sent back to drafts; update it and submit it again.${reason ? ` Reason: ${reason}` : ''}`
+  }),
+  expired: (listing) => ({
+    type: 'listing-expired',
+    title: `${listing.name} has expired`,
+    message: `Your listing ${listing.name} is no longer shown to buyers. Renew it to put it back up.`
+  })
+};
+
+// Earliest time an active listing can be renewed
+const renewableFrom = (listing) =>
+  new Date(listing.expiresAt.getTime() - RENEWAL_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+// Whether the caller is the listing's seller
+const isSellerOf = (listing, user) => {
+  const sellerId = listing.seller?._id || listing.seller;
+  return Boolean(user && sellerId && sellerId.toString() === user._id.toString());
+};
+
+// Whether the caller may see the listing: drafts and listings waiting for
+// review are only shown to their seller and admins
+const canView = (listing, user) => !UNPUBLISHED_STATUSES.includes(listing.status) ||
+  isSellerOf(listing, user) || user?.role === 'admin';
+
+// Notify the seller of a listing; failures are logged, not thrown
+const notifySeller = async (category, listing, kind, { reason } = {}) => {
+  try {
+    const seller = await User.findById(listing.seller._id || listing.seller).select('name email notificationPreferences');
+    if (!seller) return;
+
+    await notify(seller, {
+      ...NOTIFICATIONS[kind](listing, reason),
+      link: `/${VEHICLE_CATEGORIES[category].collection.name}/${listing._id}`,
+      data: { category, listing: listing._id, status: listing.status }
+    });
+  } catch (error) {
+    console.error('Error sending listing status notification:', error);
+  }
+};
+
+module.exports = {
+  RENEWAL_WINDOW_DAYS,
+  UNPUBLISHED_STATUSES,
+  renewableFrom,
+  isSellerOf,
+  canView,
+  notifySeller
+};
@@ -0,0 +1,91 @@
+// backend/utils/mailer.js
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// A transport is any object with an async send(message) method.
+// MAIL_TRANSPORT selects a built-in one: console, file or memory. console is
+// the default outside production only; it would put reset and verification
+// links in the server log.
+const transports = {
+  // Write messages to the server log
+  console: {
+    async send(message) {
+      console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  },
+
+  // Write each message as a JSON file into MAIL_FILE_DIR
+  file: {
+    async send(message) {
+      const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'vahaanbazaar-mail');
+      await fs.mkdir(dir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+      await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+    }
+  },
+
+  // Keep messages in memory so tests can inspect them
+  memory: {
+    sent: [],
+    async send(message) {
+      this.sent.push(message);
+    }
+  }
+};
+
+let customTransport = null;
+
+// Plug in a different transport (e.g. an SMTP or API-based provider)
+const setTransport = (transport) => {
+  customTransport = transport;
+};
+
+const getTransport = () => {
+  if (customTransport) return customTransport;
+
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) {
+    throw new Error('No mail transport configured: set MAIL_TRANSPORT or plug one in with setTransport');
+  }
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transports[name];
+};
+
+// Throw at startup rather than on the first email if no usable transport is
+// configured
+const checkTransport = () => {
+  getTransport();
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'VAHAAN BAZAAR <noreply@vahaanbazaar.com>',
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString()
+  };
+
+  await getTransport().send(message);
+  return message;
+};
+
+// Build a link into the frontend app
+const appUrl = (urlPath) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${urlPath}`;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  checkTransport,
+  appUrl,
+  transports
+};
@@ -0,0 +1,61 @@
+// backend/utils/marketPriceUpdates.js
+
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const events = require('./events');
+const { estimateMarketPrice, marketPosition } = require('./valuation');
+
+// Estimate a listing's market price and store it with the asking price's
+// position (below, at or above market) on the listing
+const updateMarketPrice = async (category, listing) => {
+  const Model = VEHICLE_CATEGORIES[category];
+
+  const valuation = await estimateMarketPrice({
+    category,
+    brand: listing.brand,
+    model: listing.model,
+    year: listing.year,
+    mileage: listing.mileage,
+    condition: listing.condition,
+    daysUsed: listing.daysUsed,
+    type: listing[Model.typeField],
+    city: listing.location?.city,
+    originalPrice: listing.pastPrice
+  }, { excludeId: listing._id });
+
+  const marketPrice = valuation
+    ? {
+        estimate: valuation.estimate,
+        low: valuation.low,
+        high: valuation.high,
+        position: marketPosition(listing.presentPrice, valuation),
+        confidence: valuation.confidence,
+        updatedAt: new Date()
+      }
+    : null;
+
+  // Written directly so the listing's save hooks and events don't run again
+  await Model.updateOne({ _id: listing._id }, { marketPrice });
+  return marketPrice;
+};
+
+let started = false;
+
+// Subscribe to listing events; call once at startup
+const startMarketPriceUpdates = () => {
+  if (started) return;
+  started = true;
+
+  const handle = ({ category, listing }) => {
+    updateMarketPrice(category, listing).catch(error => {
+      console.error('Error updating listing market price:', error);
+    });
+  };
+
+  events.on('listing:created', handle);
+  events.on('listing:price-changed', handle);
+};
+
+module.exports = {
+  updateMarketPrice,
+  startMarketPriceUpdates
+};
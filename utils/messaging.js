@@ -0,0 +1,113 @@
+// backend/utils/messaging.js
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const events = require('./events');
+const { notify } = require('./notifications');
+const { maskContactDetails } = require('./contactMasking');
+
+// Error thrown when a message can't be posted; status is the HTTP status to
+// answer with
+const messagingError = (message, status = 400) => {
+  const error = new Error(message);
+  error.name = 'MessagingError';
+  error.status = status;
+  return error;
+};
+
+const otherSide = (role) => (role === 'buyer' ? 'seller' : 'buyer');
+
+// A message as one side sees it: the other side's phone numbers and emails
+// are masked until both sides opted in to sharing contact details
+const presentMessage = (message, viewerId, contactsShared) => {
+  const data = message.toObject ? message.toObject() : { ...message };
+  const fromOtherSide = data.sender.toString() !== viewerId.toString();
+
+  if (fromOtherSide && !contactsShared) {
+    data.text = maskContactDetails(data.text);
+  }
+  return data;
+};
+
+// Let the recipient know about new messages. Only the first unread message
+// triggers a notification, so a burst of messages sends one.
+const notifyRecipient = async (conversation, recipientRole, text) => {
+  try {
+    if (conversation.unread[recipientRole] !== 1) return;
+
+    const recipient = await User.findById(conversation[recipientRole]._id).select('name email notificationPreferences');
+    if (!recipient) return;
+
+    const preview = conversation.contactsShared ? text : maskContactDetails(text);
+    await notify(recipient, {
+      type: 'new-message',
+      title: `New message about ${conversation.listingTitle}`,
+      message: preview.length > 200 ? `${preview.slice(0, 197)}...` : preview,
+      link: `/messages/${conversation._id}`,
+      data: { conversation: conversation._id, category: conversation.category, listing: conversation.listing }
+    });
+  } catch (error) {
+    console.error('Error sending message notification:', error);
+  }
+};
+
+// Post a message from one side of a conversation. The conversation is
+// updated first with a condition on it not being blocked, so a block that
+// lands at the same time wins. Returns { conversation, message }.
+const postMessage = async (conversation, senderId, text) => {
+  const role = conversation.roleOf(senderId);
+  if (!role) {
+    throw messagingError('Not authorized to access this conversation', 403);
+  }
+
+  const message = new Message({ conversation: conversation._id, sender: senderId, text });
+  await message.validate();
+
+  const updated = await Conversation.findOneAndUpdate(
+    { _id: conversation._id, 'blockedBy.0': { $exists: false } },
+    {
+      lastMessage: { text: message.text, sender: senderId, sentAt: message.createdAt },
+      lastMessageAt: message.createdAt,
+      $inc: { [`unread.${otherSide(role)}`]: 1 }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw messagingError('This conversation is blocked', 403);
+  }
+
+  await message.save();
+  events.emit('message:created', { conversation: updated, message });
+  await notifyRecipient(updated, otherSide(role), message.text);
+
+  return { conversation: updated, message };
+};
+
+// Mark the other side's messages as read for one side; returns the number of
+// messages marked. The unread count goes down by exactly that many, so a
+// message that arrives meanwhile stays counted.
+const markConversationRead = async (conversation, role) => {
+  const readAt = new Date();
+  const result = await Message.updateMany(
+    { conversation: conversation._id, sender: conversation[otherSide(role)]._id, readAt: null },
+    { readAt }
+  );
+
+  if (result.modifiedCount > 0) {
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $inc: { [`unread.${role}`]: -result.modifiedCount } }
+    );
+    events.emit('conversation:read', { conversation, role, readAt });
+  }
+  return result.modifiedCount;
+};
+
+module.exports = {
+  otherSide,
+  presentMessage,
+  postMessage,
+  markConversationRead
+};
@@ -0,0 +1,37 @@
+// backend/utils/notifications.js
+
+const Notification = require('../models/Notification');
+const { sendMail, appUrl } = require('./mailer');
+
+// Create an in-app notification for a user and, unless the user turned email
+// notifications off, email it too. user must include email and
+// notificationPreferences. An email failure is logged, not thrown.
+const notify = async (user, { type, title, message, link, data }, { email = true } = {}) => {
+  const notification = await Notification.create({
+    user: user._id,
+    type,
+    title,
+    message,
+    link,
+    data
+  });
+
+  const wantsEmail = user.notificationPreferences?.email !== false;
+  if (email && wantsEmail && user.email) {
+    try {
+      await sendMail({
+        to: user.email,
+        subject: title,
+        text: link ? `${message}\n\n${appUrl(link)}` : message
+      });
+    } catch (error) {
+      console.error(`Error emailing notification to ${user.email}:`, error);
+    }
+  }
+
+  return notification;
+};
+
+module.exports = {
+  notify
+};
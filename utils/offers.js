@@ -0,0 +1,236 @@
+// backend/utils/offers.js
+
+const Offer = require('../models/Offer');
+const User = require('../models/User');
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const events = require('./events');
+const { notify } = require('./notifications');
+
+// Error thrown when an offer can't move to the requested state; status is the
+// HTTP status to answer with
+const offerError = (message, status = 400) => {
+  const error = new Error(message);
+  error.name = 'OfferError';
+  error.status = status;
+  return error;
+};
+
+const formatPrice = (amount) => `₹${amount.toLocaleString()}`;
+
+// Notification sent to the other side for each negotiation step
+const NOTIFICATIONS = {
+  offer: (offer) => ({
+    type: 'offer-received',
+    title: `New offer on ${offer.listingTitle}`,
+    message: `You received an offer of ${formatPrice(offer.amount)} on ${offer.listingTitle}.`
+  }),
+  counter: (offer) => ({
+    type: 'offer-countered',
+    title: `Counter offer on ${offer.listingTitle}`,
+    message: `The other side countered with ${formatPrice(offer.amount)} on ${offer.listingTitle}.`
+  }),
+  accept: (offer) => ({
+    type: 'offer-accepted',
+    title: `Offer accepted on ${offer.listingTitle}`,
+    message: `The offer of ${formatPrice(offer.amount)} on ${offer.listingTitle} was accepted and the listing is reserved.`
+  }),
+  reject: (offer) => ({
+    type: 'offer-rejected',
+    title: `Offer rejected on ${offer.listingTitle}`,
+    message: `The offer of ${formatPrice(offer.amount)} on ${offer.listingTitle} was rejected.`
+  }),
+  withdraw: (offer) => ({
+    type: 'offer-withdrawn',
+    title: `Offer withdrawn on ${offer.listingTitle}`,
+    message: `The buyer withdrew their offer of ${formatPrice(offer.amount)} on ${offer.listingTitle}.`
+  }),
+  cancel: (offer) => ({
+    type: 'offer-cancelled',
+    title: `Deal cancelled on ${offer.listingTitle}`,
+    message: `The accepted offer on ${offer.listingTitle} was cancelled and the listing is available again.`
+  })
+};
+
+// Tell the side that did not act about a negotiation step. Failures are
+// logged, not thrown: the step itself has already happened.
+const notifyOtherSide = async (offer, action, actorRole) => {
+  try {
+    const recipientId = actorRole === 'buyer' ? offer.seller : offer.buyer;
+    const recipient = await User.findById(recipientId).select('name email notificationPreferences');
+    if (!recipient) return;
+
+    await notify(recipient, {
+      ...NOTIFICATIONS[action](offer),
+      link: `/offers/${offer._id}`,
+      data: { offer: offer._id, category: offer.category, listing: offer.listing }
+    });
+  } catch (error) {
+    console.error('Error sending offer notification:', error);
+  }
+};
+
+// Announce a negotiation step on the event bus and notify the other side
+const announceStep = async (offer, action, actorRole) => {
+  events.emit('offer:updated', { offer, action, by: actorRole });
+  await notifyOtherSide(offer, action, actorRole);
+};
+
+// Move an open offer on, provided it is still in the state it was read in and
+// has not expired. A parallel response or expiry makes this throw.
+const transition = async (offer, update, event) => {
+  const now = new Date();
+  const updated = await Offer.findOneAndUpdate(
+    { _id: offer._id, status: offer.status, expiresAt: { $gt: now } },
+    { ...update, $push: { history: { ...event, at: now } } },
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await Offer.findById(offer._id).select('status expiresAt');
+    if (current && Offer.OPEN_STATUSES.includes(current.status) && current.expiresAt <= now) {
+      throw offerError('Offer has expired');
+    }
+    throw offerError('Offer was already answered', 409);
+  }
+
+  return updated;
+};
+
+// Check the caller is the side the offer is waiting for
+const assertAwaiting = (offer, role) => {
+  if (!Offer.OPEN_STATUSES.includes(offer.status)) {
+    throw offerError(`Offer is already ${offer.status}`, 409);
+  }
+  if (offer.expiresAt <= new Date()) {
+    throw offerError('Offer has expired');
+  }
+  if (offer.awaiting !== role) {
+    throw offerError(`Waiting for the ${offer.awaiting} to respond`, 403);
+  }
+};
+
+// Move the offer's listing between statuses, only if it currently has the
+// expected one; returns the updated listing or null
+const switchListingStatus = (offer, from, to, by, reason) => {
+  const Model = VEHICLE_CATEGORIES[offer.category];
+  return Model.switchStatus(offer.listing, from, to, { by, reason });
+};
+
+// Counter an open offer with a new amount; the other side must respond next
+const counterOffer = async (offer, role, { amount, message }) => {
+  assertAwaiting(offer, role);
+
+  const updated = await transition(
+    offer,
+    {
+      amount,
+      status: role === 'seller' ? 'countered' : 'pending',
+      expiresAt: Offer.getExpiryTime()
+    },
+    { action: 'counter', by: role, amount, message }
+  );
+
+  await announceStep(updated, 'counter', role);
+  return updated;
+};
+
+// Accept the amount on the table and reserve the listing. The listing is
+// reserved first with a conditional update, so of two offers accepted at the
+// same time only one gets it; if the offer itself changed meanwhile the
+// reservation is released again.
+const acceptOffer = async (offer, role, { message } = {}) => {
+  assertAwaiting(offer, role);
+
+  const listing = await switchListingStatus(offer, 'active', 'reserved', role, 'Offer accepted');
+  if (!listing) {
+    throw offerError('Listing is no longer available', 409);
+  }
+
+  let updated;
+  try {
+    updated = await transition(
+      offer,
+      { status: 'accepted' },
+      { action: 'accept', by: role, amount: offer.amount, message }
+    );
+  } catch (error) {
+    await switchListingStatus(offer, 'reserved', 'active', 'system', 'Offer could not be accepted');
+    throw error;
+  }
+
+  await announceStep(updated, 'accept', role);
+  return updated;
+};
+
+const rejectOffer = async (offer, role, { message } = {}) => {
+  assertAwaiting(offer, role);
+
+  const updated = await transition(
+    offer,
+    { status: 'rejected' },
+    { action: 'reject', by: role, amount: offer.amount, message }
+  );
+
+  await announceStep(updated, 'reject', role);
+  return updated;
+};
+
+// The buyer takes back an open offer, whoever's turn it is
+const withdrawOffer = async (offer, role, { message } = {}) => {
+  if (role !== 'buyer') {
+    throw offerError('Only the buyer can withdraw an offer', 403);
+  }
+  if (!Offer.OPEN_STATUSES.includes(offer.status)) {
+    throw offerError(`Offer is already ${offer.status}`, 409);
+  }
+
+  const updated = await transition(
+    offer,
+    { status: 'withdrawn' },
+    { action: 'withdraw', by: role, amount: offer.amount, message }
+  );
+
+  await announceStep(updated, 'withdraw', role);
+  return updated;
+};
+
+// Call off an accepted deal and make the listing available again. The
+// listing is released first, so a deal whose listing was meanwhile marked sold
+// or removed can no longer be cancelled; if the offer itself changed
+// meanwhile the listing is reserved again.
+const cancelOffer = async (offer, role, { message } = {}) => {
+  if (offer.status !== 'accepted') {
+    throw offerError('Only an accepted offer can be cancelled', 409);
+  }
+
+  const listing = await switchListingStatus(offer, 'reserved', 'active', role, 'Deal cancelled');
+  if (!listing) {
+    throw offerError('Listing is no longer reserved for this offer', 409);
+  }
+
+  const updated = await Offer.findOneAndUpdate(
+    { _id: offer._id, status: 'accepted' },
+    {
+      status: 'cancelled',
+      $push: { history: { action: 'cancel', by: role, amount: offer.amount, message, at: new Date() } }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    await switchListingStatus(offer, 'active', 'reserved', 'system', 'Deal could not be cancelled');
+    throw offerError('Only an accepted offer can be cancelled', 409);
+  }
+
+  await announceStep(updated, 'cancel', role);
+  return updated;
+};
+
+module.exports = {
+  announceStep,
+  counterOffer,
+  acceptOffer,
+  rejectOffer,
+  withdrawOffer,
+  cancelOffer
+};
@@ -0,0 +1,116 @@
+// backend/utils/realtime.js
+
+const { EventEmitter } = require('events');
+
+// Realtime messages are published to channels and delivered to the clients
+// connected to this instance that subscribed to them. A broker carries each
+// published message to every API instance: any object with
+// publish(message) and subscribe(handler), where handler must be called with
+// every published message, including this instance's own.
+// REALTIME_BROKER selects a built-in one: local (default, single process).
+// To run several instances, plug in a shared one (e.g. Redis pub/sub) with
+// setBroker.
+const brokers = {
+  local: (() => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    return {
+      async publish(message) {
+        emitter.emit('message', message);
+      },
+      subscribe(handler) {
+        emitter.on('message', handler);
+      }
+    };
+  })()
+};
+
+let customBroker = null;
+let activeBroker = null;
+
+// Clients of this instance by channel; each client is a send(message) function
+const channels = new Map();
+// close() callbacks of the connected clients, used on shutdown
+const closers = new Set();
+
+const listingChannel = (category, listingId) => `listing:${category}:${listingId}`;
+const userChannel = (userId) => `user:${userId}`;
+
+// Hand a message from the broker to the local subscribers of its channel
+const deliver = (message) => {
+  const clients = channels.get(message.channel);
+  if (!clients) return;
+
+  clients.forEach(send => {
+    try {
+      send(message);
+    } catch (error) {
+      console.error('Error delivering realtime message:', error);
+    }
+  });
+};
+
+// Plug in a different broker; call before the server starts
+const setBroker = (broker) => {
+  customBroker = broker;
+};
+
+// The broker in use, subscribed on first use
+const getBroker = () => {
+  if (activeBroker) return activeBroker;
+
+  const name = process.env.REALTIME_BROKER || 'local';
+  const broker = customBroker || brokers[name];
+  if (!broker) {
+    throw new Error(`Unknown realtime broker: ${name}`);
+  }
+
+  broker.subscribe(deliver);
+  activeBroker = broker;
+  return activeBroker;
+};
+
+const getBrokerName = () => (customBroker ? 'custom' : process.env.REALTIME_BROKER || 'local');
+
+// Publish an event to everyone subscribed to a channel, on any instance
+const publish = async (channel, type, data) => {
+  await getBroker().publish({ channel, type, data, sentAt: new Date().toISOString() });
+};
+
+// Subscribe a client of this instance to channels; close ends its connection
+// on shutdown. Returns a function that unsubscribes it from all of them.
+const subscribe = (channelNames, send, close) => {
+  getBroker();
+
+  channelNames.forEach(channel => {
+    if (!channels.has(channel)) channels.set(channel, new Set());
+    channels.get(channel).add(send);
+  });
+  if (close) closers.add(close);
+
+  return () => {
+    closers.delete(close);
+    channelNames.forEach(channel => {
+      const clients = channels.get(channel);
+      if (!clients) return;
+      clients.delete(send);
+      if (clients.size === 0) channels.delete(channel);
+    });
+  };
+};
+
+// Disconnect every client of this instance so the HTTP server can close
+const closeAllClients = () => {
+  closers.forEach(close => close());
+  closers.clear();
+};
+
+module.exports = {
+  listingChannel,
+  userChannel,
+  publish,
+  subscribe,
+  closeAllClients,
+  setBroker,
+  getBrokerName
+};
@@ -0,0 +1,112 @@
+// backend/utils/realtimeEvents.js
+
+const events = require('./events');
+const { publish, listingChannel, userChannel } = require('./realtime');
+const { presentMessage } = require('./messaging');
+
+// Forward event bus events to the realtime channels clients subscribe to:
+// listing changes go to the listing's channel, offer, conversation,
+// appointment and service request events to the users involved
+const handlers = {
+  'listing:price-changed': ({ category, listing, previousPrice }) => [
+    publish(listingChannel(category, listing._id), 'listing:price-changed', {
+      category,
+      listingId: listing._id,
+      price: listing.presentPrice,
+      previousPrice
+    })
+  ],
+
+  'listing:status-changed': ({ category, listing, previousStatus, previousAvailability, previousIsActive }) => [
+    publish(listingChannel(category, listing._id), 'listing:status-changed', {
+      category,
+      listingId: listing._id,
+      status: listing.status,
+      previousStatus,
+      availability: listing.availability,
+      isActive: listing.isActive,
+      previousAvailability,
+      previousIsActive
+    })
+  ],
+
+  'offer:updated': ({ offer, action, by }) => {
+    const data = {
+      offerId: offer._id,
+      action,
+      by,
+      status: offer.status,
+      amount: offer.amount,
+      expiresAt: offer.expiresAt,
+      category: offer.category,
+      listingId: offer.listing
+    };
+    return [offer.buyer, offer.seller].map(user => publish(userChannel(user._id), 'offer:updated', data));
+  },
+
+  // Each side gets the message as it would read it, masked or not
+  'message:created': ({ conversation, message }) => ['buyer', 'seller'].map(role => {
+    const userId = conversation[role]._id;
+    return publish(userChannel(userId), 'conversation:message', {
+      conversationId: conversation._id,
+      message: presentMessage(message, userId, conversation.contactsShared),
+      unreadCount: conversation.unread[role]
+    });
+  }),
+
+  // Read receipt for the side whose messages were read
+  'conversation:read': ({ conversation, role, readAt }) => {
+    const sender = role === 'buyer' ? conversation.seller : conversation.buyer;
+    return [
+      publish(userChannel(sender._id), 'conversation:read', {
+        conversationId: conversation._id,
+        readBy: role,
+        readAt
+      })
+    ];
+  },
+
+  'appointment:updated': ({ appointment, action, by }) => {
+    const data = {
+      appointmentId: appointment._id,
+      action,
+      by,
+      status: appointment.status,
+      type: appointment.type,
+      startsAt: appointment.startsAt,
+      endsAt: appointment.endsAt,
+      category: appointment.category,
+      listingId: appointment.listing
+    };
+    return [appointment.buyer, appointment.seller].map(user => publish(userChannel(user._id), 'appointment:updated', data));
+  },
+
+  'service-request:status-changed': ({ request, previousStatus }) => [
+    publish(userChannel(request.user._id), 'service-request:status-changed', {
+      requestId: request._id,
+      serviceType: request.serviceType,
+      status: request.status,
+      previousStatus
+    })
+  ]
+};
+
+let started = false;
+
+// Subscribe to the event bus; call once at startup
+const startRealtimeEvents = () => {
+  if (started) return;
+  started = true;
+
+  Object.entries(handlers).forEach(([eventName, handler]) => {
+    events.on(eventName, (payload) => {
+      Promise.resolve().then(() => Promise.all(handler(payload))).catch(error => {
+        console.error(`Error publishing realtime ${eventName} event:`, error);
+      });
+    });
+  });
+};
+
+module.exports = {
+  startRealtimeEvents
+};
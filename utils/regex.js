@@ -0,0 +1,8 @@
+// backend/utils/regex.js
+
+// Escape user input so it can be embedded in a RegExp / $regex literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegex
+};
@@ -0,0 +1,131 @@
+// backend/utils/savedSearchAlerts.js
+
+const SavedSearch = require('../models/SavedSearch');
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const events = require('./events');
+const { notify } = require('./notifications');
+const { parseSearchTerms } = require('./search');
+
+const equalsIgnoreCase = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// Whether a listing matches a saved search's filters, applied the same way
+// as the list endpoints. The text search is approximated: any word of the
+// search appearing in the listing's name, brand, model, description or
+// features is a match.
+const matchesSavedSearch = (savedSearch, listing) => {
+  const filters = savedSearch.filters || {};
+  const typeField = VEHICLE_CATEGORIES[savedSearch.category].typeField;
+
+  if (filters.type && listing[typeField] !== filters.type) return false;
+  if (filters.condition && listing.condition !== filters.condition) return false;
+  if (filters.transmission && listing.transmission !== filters.transmission) return false;
+  if (filters.bodyType && listing.bodyType !== filters.bodyType) return false;
+
+  if (filters.brand && !String(listing.brand).toLowerCase().includes(filters.brand.toLowerCase())) {
+    return false;
+  }
+
+  if (filters.city && !(listing.location?.city && equalsIgnoreCase(listing.location.city, filters.city))) {
+    return false;
+  }
+
+  if (filters.minPrice != null && listing.presentPrice < filters.minPrice) return false;
+  if (filters.maxPrice != null && listing.presentPrice > filters.maxPrice) return false;
+  if (filters.minYear != null && listing.year < filters.minYear) return false;
+  if (filters.maxYear != null && listing.year > filters.maxYear) return false;
+
+  if (filters.search) {
+    const text = [listing.name, listing.brand, listing.model, listing.description, ...(listing.features || [])]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    const terms = parseSearchTerms(filters.search);
+    if (terms.length > 0 && !terms.some(term => text.includes(term.toLowerCase()))) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+// Active saved searches in a category that could match the listing; the
+// price and type filters are checked by the query, the rest in code
+const findCandidates = (category, listing) => {
+  const typeValue = listing[VEHICLE_CATEGORIES[category].typeField];
+
+  return SavedSearch.find({
+    category,
+    isPaused: false,
+    user: { $ne: listing.seller },
+    $and: [
+      { $or: [{ 'filters.minPrice': null }, { 'filters.minPrice': { $lte: listing.presentPrice } }] },
+      { $or: [{ 'filters.maxPrice': null }, { 'filters.maxPrice': { $gte: listing.presentPrice } }] },
+      { $or: [{ 'filters.type': null }, { 'filters.type': typeValue }] }
+    ]
+  }).populate('user', 'name email notificationPreferences');
+};
+
+// Notify the owners of matching saved searches about a new or cheaper listing
+const alertMatchingSearches = async ({ category, listing, previousPrice }, reason) => {
+  if (!listing.isActive || listing.availability !== 'available') return;
+
+  const link = `/${VEHICLE_CATEGORIES[category].collection.name}/${listing._id}`;
+  const price = `₹${listing.presentPrice.toLocaleString()}`;
+  const candidates = await findCandidates(category, listing);
+
+  // One failing saved search must not keep the others from being alerted
+  for (const savedSearch of candidates) {
+    if (!savedSearch.user || !matchesSavedSearch(savedSearch, listing)) continue;
+
+    try {
+      if (savedSearch.frequency === 'daily') {
+        await SavedSearch.queueMatch(savedSearch._id, {
+          category,
+          listing: listing._id,
+          reason,
+          title: listing.name,
+          price: listing.presentPrice
+        });
+        continue;
+      }
+
+      const message = reason === 'price-drop'
+        ? `${listing.name} dropped from ₹${previousPrice.toLocaleString()} to ${price}.`
+        : `${listing.name} was just listed for ${price}.`;
+
+      await notify(savedSearch.user, {
+        type: 'saved-search-match',
+        title: `New match for your saved search "${savedSearch.name}"`,
+        message,
+        link,
+        data: { savedSearch: savedSearch._id, category, listing: listing._id, reason }
+      });
+
+      await SavedSearch.updateOne({ _id: savedSearch._id }, { lastNotifiedAt: new Date() });
+    } catch (error) {
+      console.error(`Error sending alert for saved search ${savedSearch._id}:`, error);
+    }
+  }
+};
+
+let started = false;
+
+// Subscribe to listing events; call once at startup
+const startSavedSearchAlerts = () => {
+  if (started) return;
+  started = true;
+
+  const handle = (reason) => (payload) => {
+    alertMatchingSearches(payload, reason).catch(error => {
+      console.error('Error sending saved search alerts:', error);
+    });
+  };
+
+  events.on('listing:published', handle('new'));
+  events.on('listing:price-dropped', handle('price-drop'));
+};
+
+module.exports = {
+  matchesSavedSearch,
+  startSavedSearchAlerts
+};
@@ -0,0 +1,55 @@
+// backend/utils/search.js
+
+const { escapeRegex } = require('./regex');
+
+const MAX_SEARCH_LENGTH = 100;
+const MAX_SEARCH_TERMS = 10;
+// Full brand/model names added for a partly typed last word
+const MAX_PREFIX_EXPANSIONS = 5;
+
+// Split user input into plain words for $text. Quotes and leading "-" are
+// $text operators (phrases and negation), so they are removed.
+const parseSearchTerms = (search) => {
+  return String(search)
+    .slice(0, MAX_SEARCH_LENGTH)
+    .replace(/["\\]/g, ' ')
+    .split(/\s+/)
+    .map(term => term.replace(/^-+/, ''))
+    .filter(Boolean)
+    .slice(0, MAX_SEARCH_TERMS);
+};
+
+// Brand and model names starting with the last word, so "royal enf" also
+// matches "Royal Enfield" while the user is still typing
+const findPrefixMatches = async (models, prefix) => {
+  if (prefix.length < 2) return [];
+
+  const pattern = { $regex: `^${escapeRegex(prefix)}`, $options: 'i' };
+  const matches = new Set();
+
+  for (const Model of models) {
+    const [brands, modelNames] = await Promise.all([
+      Model.distinct('brand', { isActive: true, brand: pattern }),
+      Model.distinct('model', { isActive: true, model: pattern })
+    ]);
+    [...brands, ...modelNames].forEach(name => matches.add(name));
+  }
+
+  return [...matches].slice(0, MAX_PREFIX_EXPANSIONS);
+};
+
+// Build the $text operator for a search across the given listing models, or
+// null when the input has no searchable words
+const buildTextSearch = async (models, search) => {
+  const terms = parseSearchTerms(search);
+  if (terms.length === 0) return null;
+
+  const expansions = await findPrefixMatches(models, terms[terms.length - 1]);
+
+  return { $search: [...terms, ...expansions].join(' ') };
+};
+
+module.exports = {
+  parseSearchTerms,
+  buildTextSearch
+};
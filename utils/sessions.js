@@ -0,0 +1,28 @@
+// backend/utils/sessions.js
+
+const RefreshToken = require('../models/RefreshToken');
+const { signAccessToken } = require('./tokens');
+
+// Device details recorded against a refresh-token session
+const getDeviceInfo = (req) => ({
+  name: req.body?.deviceName,
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip || req.connection.remoteAddress
+});
+
+// Start a new session: a refresh-token family plus an access token bound to it
+const startSession = async (user, req) => {
+  const { token: refreshToken, record } = await RefreshToken.issue(user._id, {
+    device: getDeviceInfo(req)
+  });
+
+  return {
+    token: signAccessToken(user, record.family),
+    refreshToken
+  };
+};
+
+module.exports = {
+  getDeviceInfo,
+  startSession
+};
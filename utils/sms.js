@@ -0,0 +1,72 @@
+// backend/utils/sms.js
+
+// An SMS provider is any object with an async send({ to, body }) method.
+// SMS_PROVIDER selects a built-in one: console or memory. console is the
+// default outside production only; it would put OTP codes in the server log.
+const providers = {
+  // Write messages to the server log
+  console: {
+    async send(message) {
+      console.log(`📱 SMS to ${message.to}: ${message.body}`);
+    }
+  },
+
+  // In-memory fake for local testing; messages can be inspected or cleared
+  memory: {
+    sent: [],
+    async send(message) {
+      this.sent.push(message);
+    },
+    lastMessageTo(phone) {
+      return [...this.sent].reverse().find(message => message.to === phone) || null;
+    },
+    clear() {
+      this.sent = [];
+    }
+  }
+};
+
+let customProvider = null;
+
+// Plug in a real gateway (MSG91, Twilio, ...) without touching callers
+const setProvider = (provider) => {
+  customProvider = provider;
+};
+
+const getProvider = () => {
+  if (customProvider) return customProvider;
+
+  const name = process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) {
+    throw new Error('No SMS provider configured: set SMS_PROVIDER or plug one in with setProvider');
+  }
+  if (!providers[name]) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return providers[name];
+};
+
+// Throw at startup rather than on the first OTP if no usable provider is
+// configured
+const checkProvider = () => {
+  getProvider();
+};
+
+// Send a text message to a 10-digit Indian mobile number
+const sendSms = async ({ to, body }) => {
+  const message = {
+    to,
+    body,
+    sentAt: new Date().toISOString()
+  };
+
+  await getProvider().send(message);
+  return message;
+};
+
+module.exports = {
+  sendSms,
+  setProvider,
+  checkProvider,
+  providers
+};
@@ -0,0 +1,162 @@
+// backend/utils/storage.js
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// A storage driver is any object with async put(key, buffer, contentType)
+// returning the public URL, async remove(key), and url(key) giving the public
+// URL of a stored key.
+// STORAGE_DRIVER selects a built-in one: local (default), s3 or memory.
+
+// Directory the local driver writes to; server.js serves it at /uploads
+const getLocalUploadDir = () => {
+  return process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+};
+
+// Path of a key under UPLOAD_DIR; keys that would resolve outside it are
+// refused
+const localPath = (key) => {
+  const root = path.resolve(getLocalUploadDir());
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// Public URL for a stored key under a base URL
+const joinUrl = (base, key) => `${base.replace(/\/$/, '')}/${key}`;
+
+let s3Client = null;
+
+// The AWS SDK is only needed when the s3 driver is used
+const getS3Client = () => {
+  if (s3Client) return s3Client;
+
+  let S3Client;
+  try {
+    ({ S3Client } = require('@aws-sdk/client-s3'));
+  } catch (error) {
+    throw new Error('Install @aws-sdk/client-s3 to use the s3 storage driver');
+  }
+
+  s3Client = new S3Client({
+    region: process.env.S3_REGION || 'ap-south-1',
+    // Set for S3-compatible services (MinIO, R2, Spaces, ...)
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT)
+  });
+  return s3Client;
+};
+
+const getS3Bucket = () => {
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET is not configured');
+  }
+  return process.env.S3_BUCKET;
+};
+
+const drivers = {
+  // Files on the server's disk under UPLOAD_DIR
+  local: {
+    async put(key, buffer) {
+      const filePath = localPath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return this.url(key);
+    },
+    url(key) {
+      return joinUrl(process.env.UPLOAD_BASE_URL || '/uploads', key);
+    },
+    async remove(key) {
+      await fs.rm(localPath(key), { force: true });
+    }
+  },
+
+  // S3 or an S3-compatible object store; S3_PUBLIC_URL is the bucket's public
+  // base URL (e.g. a CDN), defaulting to the AWS bucket URL
+  s3: {
+    async put(key, buffer, contentType) {
+      const { PutObjectCommand } = require('@aws-sdk/client-s3');
+      const bucket = getS3Bucket();
+
+      await getS3Client().send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+
+      return this.url(key);
+    },
+    url(key) {
+      const base = process.env.S3_PUBLIC_URL ||
+        `https://${getS3Bucket()}.s3.${process.env.S3_REGION || 'ap-south-1'}.amazonaws.com`;
+      return joinUrl(base, key);
+    },
+    async remove(key) {
+      const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+      await getS3Client().send(new DeleteObjectCommand({ Bucket: getS3Bucket(), Key: key }));
+    }
+  },
+
+  // Keep files in memory so tests can inspect them
+  memory: {
+    files: new Map(),
+    async put(key, buffer, contentType) {
+      this.files.set(key, { buffer, contentType });
+      return this.url(key);
+    },
+    url(key) {
+      return joinUrl('/uploads', key);
+    },
+    async remove(key) {
+      this.files.delete(key);
+    }
+  }
+};
+
+let customDriver = null;
+
+// Plug in a different storage backend
+const setDriver = (driver) => {
+  customDriver = driver;
+};
+
+const getDriverName = () => process.env.STORAGE_DRIVER || 'local';
+
+const getDriver = () => {
+  if (customDriver) return customDriver;
+
+  const name = getDriverName();
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return drivers[name];
+};
+
+// Store a file and return its public URL
+const saveFile = (key, buffer, contentType) => {
+  return getDriver().put(key, buffer, contentType);
+};
+
+// Remove a stored file; missing files are ignored
+const deleteFile = (key) => {
+  return getDriver().remove(key);
+};
+
+// Public URL of a stored file
+const fileUrl = (key) => {
+  return getDriver().url(key);
+};
+
+module.exports = {
+  saveFile,
+  deleteFile,
+  fileUrl,
+  setDriver,
+  getDriverName,
+  getLocalUploadDir,
+  drivers
+};
@@ -0,0 +1,128 @@
+// backend/utils/suggestions.js
+
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const events = require('./events');
+
+// The suggestion set is rebuilt at most this often unless listings change
+const SUGGESTION_CACHE_TTL = 10 * 60 * 1000;
+
+const cache = {
+  entries: null,
+  builtAt: 0,
+  stale: true
+};
+let rebuilding = null;
+
+// Counts and total views of active, available listings per brand,
+// brand + model and city
+const aggregateCategory = (Model) => {
+  const group = (id) => ({
+    $group: {
+      _id: id,
+      count: { $sum: 1 },
+      views: { $sum: '$viewCount' }
+    }
+  });
+
+  return Model.aggregate([
+    { $match: { isActive: true, availability: 'available' } },
+    {
+      $facet: {
+        brand: [group('$brand')],
+        model: [
+          { $match: { model: { $nin: [null, ''] } } },
+          group({ $concat: ['$brand', ' ', '$model'] })
+        ],
+        city: [
+          { $match: { 'location.city': { $nin: [null, ''] } } },
+          group('$location.city')
+        ]
+      }
+    }
+  ]);
+};
+
+// Build the ranked suggestion list from every vehicle category. Values that
+// only differ in case are merged.
+const buildSuggestionSet = async () => {
+  const merged = new Map();
+
+  for (const Model of Object.values(VEHICLE_CATEGORIES)) {
+    const [facets] = await aggregateCategory(Model);
+
+    for (const [type, groups] of Object.entries(facets)) {
+      groups.forEach(({ _id: value, count, views }) => {
+        const key = `${type}:${value.toLowerCase()}`;
+        const entry = merged.get(key) || { type, value, count: 0, views: 0 };
+        entry.count += count;
+        entry.views += views;
+        merged.set(key, entry);
+      });
+    }
+  }
+
+  return [...merged.values()]
+    .map(entry => ({ ...entry, words: entry.value.toLowerCase().split(/\s+/) }))
+    .sort((a, b) => b.views - a.views || b.count - a.count);
+};
+
+const rebuild = () => {
+  if (!rebuilding) {
+    // A change during the rebuild marks the cache stale again
+    cache.stale = false;
+    rebuilding = buildSuggestionSet()
+      .then(entries => {
+        cache.entries = entries;
+        cache.builtAt = Date.now();
+        return entries;
+      })
+      .catch(error => {
+        cache.stale = true;
+        throw error;
+      })
+      .finally(() => {
+        rebuilding = null;
+      });
+  }
+  return rebuilding;
+};
+
+// The cached suggestion set. Once built, an outdated set is still served
+// while a fresh one is built in the background.
+const loadSuggestions = async () => {
+  const expired = cache.stale || Date.now() - cache.builtAt > SUGGESTION_CACHE_TTL;
+  if (!expired) return cache.entries;
+
+  if (!cache.entries) return rebuild();
+
+  rebuild().catch(error => console.error('Error rebuilding search suggestions:', error));
+  return cache.entries;
+};
+
+// Suggestions where every word of the query starts a word of the value,
+// e.g. "enf cla" matches "Royal Enfield Classic 350"
+const getSuggestions = async (query, { limit = 8 } = {}) => {
+  const queryWords = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  if (queryWords.length === 0) return [];
+
+  const entries = await loadSuggestions();
+
+  return entries
+    .filter(entry => queryWords.every(queryWord => entry.words.some(word => word.startsWith(queryWord))))
+    .slice(0, limit)
+    .map(({ type, value, count }) => ({
+      type,
+      value,
+      count,
+      label: `${value} (${count})`
+    }));
+};
+
+// Per process; other instances pick up changes when their cache expires
+events.on('listing:changed', () => {
+  cache.stale = true;
+});
+
+module.exports = {
+  getSuggestions
+};
@@ -0,0 +1,74 @@
+// backend/utils/tokens.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Secrets are read lazily because server.js loads dotenv after requiring routes
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+// Sign a short-lived access token for a user; sessionId ties it to the
+// refresh-token family it was issued with
+const signAccessToken = (user, sessionId) => {
+  const payload = { id: user._id.toString() };
+  if (sessionId) payload.sid = sessionId;
+
+  return jwt.sign(
+    payload,
+    getJwtSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Verify an access token (throws JsonWebTokenError / TokenExpiredError)
+const verifyAccessToken = (token) => {
+  return jwt.verify(token, getJwtSecret());
+};
+
+// Sign a single-purpose token (e.g. email change). The returned tokenId must be
+// stored hashed on the user so the token can only be used once.
+const signActionToken = (user, purpose, expiresIn) => {
+  const tokenId = crypto.randomUUID();
+  const token = jwt.sign(
+    { sub: user._id.toString(), purpose, jti: tokenId },
+    getJwtSecret(),
+    { expiresIn }
+  );
+
+  return { token, tokenId };
+};
+
+// Verify an action token and check it was issued for the expected purpose
+const verifyActionToken = (token, purpose) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Token purpose mismatch');
+  }
+  return decoded;
+};
+
+const hashTokenId = (tokenId) => crypto.createHash('sha256').update(tokenId).digest('hex');
+
+// Extract the token from an "Authorization: Bearer <token>" header
+const getBearerToken = (req) => {
+  const header = req.get('Authorization');
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  return token;
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  signActionToken,
+  verifyActionToken,
+  hashTokenId,
+  getBearerToken
+};
@@ -0,0 +1,216 @@
+// backend/utils/valuation.js
+
+const VEHICLE_CATEGORIES = require('../models/vehicleCategories');
+const { escapeRegex } = require('./regex');
+
+// Comparables needed before the estimate relies on them alone; with fewer,
+// it falls back to (or is blended with) the depreciation rules
+const MIN_COMPARABLES = 3;
+const MAX_COMPARABLES = 100;
+// Comparables shown as evidence in the response
+const EVIDENCE_COUNT = 5;
+// Model years either side of the vehicle's year that count as comparable
+const YEAR_WINDOW = 2;
+
+// Value relative to a vehicle in Good condition
+const CONDITION_FACTORS = { Excellent: 1.05, Good: 1, Fair: 0.9, Poor: 0.75 };
+
+// Share of the new price kept by age in months, after the IRDAI depreciation
+// schedule for vehicle insurance; older vehicles lose 10% a year more, down
+// to a floor
+const RETENTION_SCHEDULE = [
+  { months: 6, retention: 0.95 },
+  { months: 12, retention: 0.85 },
+  { months: 24, retention: 0.8 },
+  { months: 36, retention: 0.7 },
+  { months: 48, retention: 0.6 },
+  { months: 60, retention: 0.5 }
+];
+const RETENTION_FLOOR = 0.15;
+
+// Half-width of the price range for a depreciation-only estimate
+const DEPRECIATION_SPREAD = 0.15;
+// Narrowest range around a comparables estimate
+const MIN_SPREAD = 0.05;
+
+// Age in months from the model year, or from daysUsed when that is longer
+const ageInMonths = ({ year, daysUsed }) => {
+  const now = new Date();
+  const fromYear = (now.getFullYear() - year) * 12 + now.getMonth();
+  return Math.max(fromYear, (daysUsed || 0) / 30, 0);
+};
+
+const retentionFor = (months) => {
+  const step = RETENTION_SCHEDULE.find(entry => months < entry.months);
+  if (step) return step.retention;
+
+  const extraYears = Math.floor((months - 60) / 12) + 1;
+  return Math.max(0.5 - extraYears * 0.1, RETENTION_FLOOR);
+};
+
+const conditionFactor = (condition) => CONDITION_FACTORS[condition] || 1;
+
+const roundPrice = (value) => Math.round(value / 100) * 100;
+
+// Value at the given weighted quantile (0..1) of sorted { value, weight } pairs
+const weightedQuantile = (points, quantile) => {
+  const total = points.reduce((sum, point) => sum + point.weight, 0);
+  let running = 0;
+  for (const point of points) {
+    running += point.weight;
+    if (running >= total * quantile) return point.value;
+  }
+  return points[points.length - 1].value;
+};
+
+// Rule-based estimate from the new price, age and condition
+const depreciationEstimate = (vehicle, originalPrice) => {
+  if (!originalPrice) return null;
+  return originalPrice * retentionFor(ageInMonths(vehicle)) * conditionFactor(vehicle.condition);
+};
+
+// Active and sold listings of the same brand (and type) from nearby model years
+const findComparables = (Model, vehicle, excludeId) => {
+  const filter = {
+    isActive: true,
+    brand: new RegExp(`^${escapeRegex(vehicle.brand)}$`, 'i'),
+    year: { $gte: vehicle.year - YEAR_WINDOW, $lte: vehicle.year + YEAR_WINDOW },
+    presentPrice: { $gt: 0 }
+  };
+  if (vehicle.type) filter[Model.typeField] = vehicle.type;
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  return Model.find(filter)
+    .select(`name brand model year condition daysUsed mileage presentPrice pastPrice availability location.city ${Model.typeField}`)
+    .sort({ updatedAt: -1 })
+    .limit(MAX_COMPARABLES)
+    .lean();
+};
+
+// How much a comparable says about the vehicle; higher is closer
+const similarity = (vehicle, comparable) => {
+  let weight = 1 / (1 + Math.abs(comparable.year - vehicle.year));
+
+  if (vehicle.model) {
+    if (!comparable.model || comparable.model.toLowerCase() !== vehicle.model.toLowerCase()) {
+      weight *= 0.3;
+    }
+  }
+  if (comparable.condition !== vehicle.condition) weight *= 0.7;
+  if (vehicle.city && comparable.location?.city?.toLowerCase() === vehicle.city.toLowerCase()) {
+    weight *= 1.2;
+  }
+  if (vehicle.mileage && comparable.mileage) {
+    const difference = Math.abs(comparable.mileage - vehicle.mileage) / vehicle.mileage;
+    if (difference > 0.25) weight *= 0.8;
+  }
+  // A sold listing's last asking price is the closest we have to a sale price
+  if (comparable.availability === 'sold') weight *= 1.2;
+
+  return weight;
+};
+
+// A comparable's price adjusted to the vehicle's age and condition
+const adjustedPrice = (vehicle, comparable) => {
+  const ageRatio = retentionFor(ageInMonths(vehicle)) / retentionFor(ageInMonths(comparable));
+  const conditionRatio = conditionFactor(vehicle.condition) / conditionFactor(comparable.condition);
+  return comparable.presentPrice * ageRatio * conditionRatio;
+};
+
+// Depreciation rules alone are only a rough guide
+const confidenceFor = (method, count, spread) => {
+  if (method !== 'comparables') return 'low';
+  if (count >= 8 && spread <= 0.2) return 'high';
+  return 'medium';
+};
+
+// Estimate the market price of a vehicle from comparable listings, falling
+// back to depreciation from the new price when there are too few of them.
+// vehicle is { category, brand, model, year, mileage, condition, daysUsed,
+// type, city, originalPrice }; excludeId leaves a listing out of its own
+// comparables. Returns null when neither method has enough to go on.
+const estimateMarketPrice = async (vehicle, { excludeId } = {}) => {
+  const Model = VEHICLE_CATEGORIES[vehicle.category];
+  const comparables = await findComparables(Model, vehicle, excludeId);
+
+  const points = comparables
+    .map(comparable => ({
+      comparable,
+      value: adjustedPrice(vehicle, comparable),
+      weight: similarity(vehicle, comparable)
+    }))
+    .sort((a, b) => a.value - b.value);
+
+  // Without a new price, use what sellers of this brand and model gave
+  let originalPrice = vehicle.originalPrice;
+  if (!originalPrice) {
+    const sameModel = comparables.filter(comparable =>
+      comparable.pastPrice && (!vehicle.model || comparable.model?.toLowerCase() === vehicle.model.toLowerCase())
+    );
+    if (sameModel.length > 0) {
+      const prices = sameModel.map(comparable => comparable.pastPrice).sort((a, b) => a - b);
+      originalPrice = prices[Math.floor(prices.length / 2)];
+    }
+  }
+  const depreciated = depreciationEstimate(vehicle, originalPrice);
+
+  let method;
+  let estimate;
+  let low;
+  let high;
+
+  if (points.length >= MIN_COMPARABLES) {
+    method = 'comparables';
+    estimate = weightedQuantile(points, 0.5);
+    low = Math.min(weightedQuantile(points, 0.25), estimate * (1 - MIN_SPREAD));
+    high = Math.max(weightedQuantile(points, 0.75), estimate * (1 + MIN_SPREAD));
+  } else if (depreciated) {
+    method = points.length > 0 ? 'blended' : 'depreciation';
+    estimate = points.length > 0
+      ? (depreciated + weightedQuantile(points, 0.5)) / 2
+      : depreciated;
+    low = estimate * (1 - DEPRECIATION_SPREAD);
+    high = estimate * (1 + DEPRECIATION_SPREAD);
+  } else {
+    return null;
+  }
+
+  const spread = (high - low) / 2 / estimate;
+
+  return {
+    estimate: roundPrice(estimate),
+    low: roundPrice(low),
+    high: roundPrice(high),
+    confidence: confidenceFor(method, points.length, spread),
+    method,
+    comparableCount: points.length,
+    comparables: [...points]
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, EVIDENCE_COUNT)
+      .map(({ comparable, value }) => ({
+        _id: comparable._id,
+        name: comparable.name,
+        brand: comparable.brand,
+        model: comparable.model,
+        year: comparable.year,
+        condition: comparable.condition,
+        daysUsed: comparable.daysUsed,
+        city: comparable.location?.city,
+        availability: comparable.availability,
+        price: comparable.presentPrice,
+        adjustedPrice: roundPrice(value)
+      }))
+  };
+};
+
+// 'below', 'at' or 'above' market for an asking price
+const marketPosition = (price, { low, high }) => {
+  if (price < low) return 'below';
+  if (price > high) return 'above';
+  return 'at';
+};
+
+module.exports = {
+  estimateMarketPrice,
+  marketPosition
+};